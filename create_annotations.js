@@ -140,6 +140,12 @@
   let __lastPointerId;
 
   function r4(v) { return Number((+v).toFixed(4)); }
+  // channel the box was drawn on: the analysed channel (1-based), 'mix' for the average of several
+  // channels, 1 for a mono file
+  function annotationChannel() {
+    if (globalThis._spectroChannel >= 1) return globalThis._spectroChannel;
+    return (globalThis._spectroChannelCount || 1) > 1 ? 'mix' : 1;
+  }
 
   // Toggle wrapper (authoritative mode source)
   const toggleWrap = document.getElementById('createEditToggle');
@@ -191,6 +197,10 @@
     return Infinity;
   }
 
+  // frequency <-> fraction of image height from the bottom, honouring the linear/log/mel scale
+  function hzToFrac(hz, ymaxHz) { return globalThis._spectroFreqMap ? globalThis._spectroFreqMap.hzToFrac(hz) : hz / ymaxHz; }
+  function fracToHz(f, ymaxHz) { return globalThis._spectroFreqMap ? globalThis._spectroFreqMap.fracToHz(f) : f * ymaxHz; }
+
   // Resize overlay to match spectrogram image region
   function resizeAnnotationOverlay() {
     const viewWidth = Math.max(1, scrollArea.clientWidth);
@@ -228,7 +238,7 @@
     const localY = clientY - canvasRect.top;
     const yInImage = localY - AXIS_TOP;
     const t = Math.max(0, Math.min(1, yInImage / Math.max(1, imageHeight - 1)));
-    const freqHz = Math.max(0, Math.min(ymaxHz, (1 - t) * ymaxHz));
+    const freqHz = Math.max(0, Math.min(ymaxHz, fracToHz(1 - t, ymaxHz)));
 
     return { timeSec, freqHz, globalX, localX, localY, pxPerSec };
   }
@@ -268,8 +278,8 @@
       const endClamped = Math.max(beginClamped, Math.min(a.endTime, duration));
       const x1 = (beginClamped * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
       const x2 = (endClamped * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
-      const t1 = 1 - (a.highFreq / ymaxHz);
-      const t2 = 1 - (a.lowFreq / ymaxHz);
+      const t1 = 1 - hzToFrac(a.highFreq, ymaxHz);
+      const t2 = 1 - hzToFrac(a.lowFreq, ymaxHz);
       const y1 = t1 * imageHeight;
       const y2 = t2 * imageHeight;
       drawBoxOnOverlay(x1, y1, x2, y2, { fill: COMMITTED_FILL, stroke: COMMITTED_STROKE, dashed: false });
@@ -285,8 +295,8 @@
 
       const low = Math.min(pending.startFreq, pending.currentFreq);
       const high = Math.max(pending.startFreq, pending.currentFreq);
-      const t1 = 1 - (high / ymaxHz);
-      const t2 = 1 - (low / ymaxHz);
+      const t1 = 1 - hzToFrac(high, ymaxHz);
+      const t2 = 1 - hzToFrac(low, ymaxHz);
       const y1 = t1 * imageHeight;
       const y2 = t2 * imageHeight;
       drawBoxOnOverlay(x1, y1, x2, y2, { fill: PENDING_FILL, stroke: PENDING_STROKE, dashed: true });
@@ -512,8 +522,8 @@
     const ymax = globalThis._spectroYMax || 22050;
     const x1 = (a.beginTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
     const x2 = (a.endTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
-    const t1 = 1 - (a.highFreq / ymax);
-    const t2 = 1 - (a.lowFreq / ymax);
+    const t1 = 1 - hzToFrac(a.highFreq, ymax);
+    const t2 = 1 - hzToFrac(a.lowFreq, ymax);
     const y1 = t1 * imageH;
     const y2 = t2 * imageH;
     aCtx.save();
@@ -575,6 +585,7 @@
       endTime: r4(end),
       lowFreq: r4(low),
       highFreq: r4(high),
+      channel: annotationChannel(),
       species: speciesVal || '',
       notes: ''
     };
@@ -582,6 +593,7 @@
     pending = null;
     rebuildTable();
     emitChange();
+    try { window.dispatchEvent(new CustomEvent('annotations-changed', { detail: { reason: 'create', id: ann.id } })); } catch (e) {}
   }
 
   function cancelPending() {
@@ -667,15 +679,20 @@
     renderAllAnnotations();
   }
 
+  // key bindings come from keymap.js; fallback keys if it is not loaded
+  function keyIs(ev, action, fallback) {
+    return globalThis._keymap ? globalThis._keymap.matches(ev, action) : fallback.indexOf(ev.key) >= 0;
+  }
+
   function onKeyDown(ev) {
     if (document.activeElement && (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA')) return;
     if (currentMode() !== 'create') return;
     if (!pending) return;
-    if (ev.key === 'Enter') {
+    if (keyIs(ev, 'commit', ['Enter'])) {
       commitPending();
       ev.preventDefault();
       ev.stopPropagation();
-    } else if (ev.key === 'Escape') {
+    } else if (keyIs(ev, 'cancel', ['Escape'])) {
       cancelPending();
       ev.preventDefault();
       ev.stopPropagation();
@@ -781,6 +798,8 @@
 
   scrollArea.addEventListener('scroll', () => { resizeAnnotationOverlay(); });
   window.addEventListener('resize', () => { resizeAnnotationOverlay(); adjustTableHeightToShowRows(10); });
+  // a new Y range or frequency scale moves every box
+  window.addEventListener('spectrogram-generated', () => { resizeAnnotationOverlay(); });
 
   // Keep overlay responsive if the table wrapper's scrollbar changes layout
   tableScrollWrap.addEventListener('scroll', () => { /* no-op; present for potential future sync hooks */ });
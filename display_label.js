@@ -49,17 +49,19 @@
       ? globalThis._spectroYMax
       : (globalThis._spectroSampleRate ? globalThis._spectroSampleRate / 2 : 22050);
     const axisLeft = (typeof globalThis._spectroAxisLeft === 'number') ? globalThis._spectroAxisLeft : 70;
-    return { pxPerSec, imageHeight, ymaxHz, axisLeft };
+    const fmap = globalThis._spectroFreqMap;
+    const hzToFrac = fmap ? fmap.hzToFrac : (hz) => hz / ymaxHz;
+    return { pxPerSec, imageHeight, ymaxHz, axisLeft, hzToFrac };
   }
 
   function annotationToRectPx(a) {
     const scrollArea = document.getElementById('scrollArea');
     if (!scrollArea) return null;
-    const { pxPerSec, imageHeight, ymaxHz } = getMapping();
+    const { pxPerSec, imageHeight, hzToFrac } = getMapping();
     const left = (a.beginTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
     const right = (a.endTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
-    const t1 = 1 - (a.highFreq / ymaxHz);
-    const t2 = 1 - (a.lowFreq / ymaxHz);
+    const t1 = 1 - hzToFrac(a.highFreq);
+    const t2 = 1 - hzToFrac(a.lowFreq);
     const top = t1 * imageHeight;
     const bottom = t2 * imageHeight;
     return { left, top, right, bottom };
@@ -116,11 +118,15 @@
     return map;
   }
 
+  function labelTextFor(rowInfo) {
+    return (rowInfo && typeof rowInfo.index === 'number' ? String(rowInfo.index) : '?') + '|' + (rowInfo && rowInfo.species ? rowInfo.species : '');
+  }
+
   function createOrUpdateLabel(container, aidStr, rectPx, rowInfo) {
     if (!rectPx) return;
     const id = 'ann_label_' + aidStr;
     let el = document.getElementById(id);
-    const labelText = (rowInfo && typeof rowInfo.index === 'number' ? String(rowInfo.index) : '?') + '|' + (rowInfo && rowInfo.species ? rowInfo.species : '');
+    const labelText = labelTextFor(rowInfo);
     const opts = getOptions();
     if (!el) {
       el = document.createElement('div');
@@ -247,6 +253,7 @@
     const scrollArea = document.getElementById('scrollArea');
     if (scrollArea) scrollArea.addEventListener('scroll', () => scheduleSync(), { passive: true });
     window.addEventListener('resize', () => scheduleSync(), { passive: true });
+    window.addEventListener('spectrogram-generated', () => scheduleSync());
 
     if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => setTimeout(scheduleSync, 60));
     else setTimeout(scheduleSync, 60);
@@ -258,6 +265,13 @@
   globalThis._displayAnnotationLabels.sync = syncAllLabels;
   globalThis._displayAnnotationLabels.schedule = scheduleSync;
   globalThis._displayAnnotationLabels.updateLabelColors = updateLabelColors;
+  // "Selection|Species" text per annotation id (Map), for renderers outside the live view (figure export)
+  globalThis._displayAnnotationLabels.labelTexts = function () {
+    const rowMap = buildAnnotationRowMap();
+    const out = new Map();
+    for (const a of getAnnotations()) out.set(String(a.id), labelTextFor(rowMap.get(String(a.id)) || { index: '?', species: '' }));
+    return out;
+  };
   globalThis._displayAnnotationLabels.setOption = function (k, v) {
     globalThis._displayAnnotationLabels.options = globalThis._displayAnnotationLabels.options || {};
     globalThis._displayAnnotationLabels.options[k] = v;
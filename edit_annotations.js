@@ -79,7 +79,12 @@
       ? globalThis._spectroYMax
       : (globalThis._spectroSampleRate ? globalThis._spectroSampleRate / 2 : 22050);
     const axisLeft = (typeof globalThis._spectroAxisLeft === 'number') ? globalThis._spectroAxisLeft : 70;
-    return { pxPerSec, imageHeight, ymaxHz, axisLeft };
+    // fraction of image height from the bottom <-> Hz (linear/log/mel, see spectrogram.js)
+    const fmap = globalThis._spectroFreqMap;
+    const hzToFrac = fmap ? fmap.hzToFrac : (hz) => hz / ymaxHz;
+    const fracToHz = fmap ? fmap.fracToHz : (f) => f * ymaxHz;
+    const yminHz = Math.max(0, Math.min(ymaxHz, globalThis._spectroYMin || 0));
+    return { pxPerSec, imageHeight, ymaxHz, yminHz, axisLeft, hzToFrac, fracToHz };
   }
 
   // Authoritative duration getter (used for clamps)
@@ -120,11 +125,11 @@
 
   // Geometry helpers
   function annotationToRectPx(a) {
-    const { pxPerSec, imageHeight, ymaxHz } = getMapping();
+    const { pxPerSec, imageHeight, hzToFrac } = getMapping();
     const left = (a.beginTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
     const right = (a.endTime * pxPerSec) - Math.round(scrollArea.scrollLeft || 0);
-    const t1 = 1 - (a.highFreq / ymaxHz);
-    const t2 = 1 - (a.lowFreq / ymaxHz);
+    const t1 = 1 - hzToFrac(a.highFreq);
+    const t2 = 1 - hzToFrac(a.lowFreq);
     const top = t1 * imageHeight;
     const bottom = t2 * imageHeight;
     return { left, top, right, bottom, width: Math.abs(right - left), height: Math.abs(bottom - top) };
@@ -275,6 +280,7 @@
           highFreq: Number(w.highFreq)
         });
         replaceAnnotations(updated);
+        broadcastAnnotationsChanged('edit', editSession.id);
       }
     } catch (e) { console.error('persist failed', e); }
   }
@@ -320,6 +326,7 @@
           if ('notes' in original) updated[idx].notes = original.notes;
           if ('color' in original) updated[idx].color = original.color;
           replaceAnnotations(updated);
+          broadcastAnnotationsChanged('edit-cancel', editSession.id);
         }
       }
     } catch (e) { console.error('revert failed', e); }
@@ -394,7 +401,7 @@
     const rect = highlightCanvas.getBoundingClientRect();
     const localX = ev.clientX - rect.left;
     const localY = ev.clientY - rect.top;
-    const { pxPerSec, imageHeight, ymaxHz } = getMapping();
+    const { pxPerSec, imageHeight, ymaxHz, yminHz, fracToHz } = getMapping();
     const secsPerPx = 1 / Math.max(1e-9, pxPerSec);
 
     // Compute raw time at X, then clamp to [0, duration] so editing cannot push times out of file bounds
@@ -408,7 +415,8 @@
       if (tAtX < 0) tAtX = 0;
     }
 
-    const freqAtY = Math.max(0, Math.min(ymaxHz, (1 - (localY / imageHeight)) * ymaxHz));
+    // handles stay inside the displayed band (Y min .. Y max)
+    const freqAtY = Math.max(yminHz, Math.min(ymaxHz, fracToHz(1 - (localY / imageHeight))));
     const w = editSession.working;
 
     switch (editSession.activeHandle) {
@@ -446,14 +454,19 @@
     ev.preventDefault && ev.preventDefault();
   }
 
+  // key bindings come from keymap.js; fallback keys if it is not loaded
+  function keyIs(ev, action, fallback) {
+    return globalThis._keymap ? globalThis._keymap.matches(ev, action) : fallback.indexOf(ev.key) >= 0;
+  }
+
   // Keyboard handling inside edit mode
   function handleKeyDown(ev) {
     if (!editModeActive) return;
     if (!editSession) return;
-    if (ev.key === 'Enter') { commitEditSessionAndEnd(); ev.preventDefault(); return; }
-    if (ev.key === 'Escape' || ev.key === 'Esc') { cancelAndEndEditSession(); ev.preventDefault(); return; }
+    if (keyIs(ev, 'commit', ['Enter'])) { commitEditSessionAndEnd(); ev.preventDefault(); return; }
+    if (keyIs(ev, 'cancel', ['Escape', 'Esc'])) { cancelAndEndEditSession(); ev.preventDefault(); return; }
     const delBtnLocal = document.querySelector('button[title="Delete"]') || document.getElementById('annoDeleteBtn');
-    if (delBtnLocal && !delBtnLocal.disabled && (ev.key === 'Delete' || ev.key === 'd' || ev.key === 'D')) {
+    if (delBtnLocal && !delBtnLocal.disabled && keyIs(ev, 'delete', ['Delete', 'd', 'D'])) {
       deleteSelectedAnnotation();
       ev.preventDefault();
       return;
@@ -541,6 +554,7 @@
     window.addEventListener('keydown', handleKeyDown);
     scrollArea.addEventListener('scroll', onScrollOrResize);
     window.addEventListener('resize', onScrollOrResize);
+    window.addEventListener('spectrogram-generated', onScrollOrResize);
 
     // disable species control visually when editing (unless bulk selection exists)
     try {
@@ -574,6 +588,7 @@
     window.removeEventListener('keydown', handleKeyDown);
     scrollArea.removeEventListener('scroll', onScrollOrResize);
     window.removeEventListener('resize', onScrollOrResize);
+    window.removeEventListener('spectrogram-generated', onScrollOrResize);
 
     // restore species control state
     try {
@@ -750,6 +765,7 @@
   globalThis._editAnnotations.cancelEdit = () => { if (editSession) cancelAndEndEditSession(); };
   globalThis._editAnnotations.commitEdit = () => { if (editSession) commitEditSessionAndEnd(); };
   globalThis._editAnnotations.deleteEditing = () => { if (editSession) deleteSelectedAnnotation(); };
+  globalThis._editAnnotations.startEdit = (id) => { if (editModeActive) startEditSession(id); };
 
   // Broadcast helper
   function broadcastEditSelectionChanged() {
@@ -759,6 +775,11 @@
     } catch (e) {}
   }
 
+  // a box's time/frequency was written back to the annotations (drag released, edit committed or reverted)
+  function broadcastAnnotationsChanged(reason, id) {
+    try { window.dispatchEvent(new CustomEvent('annotations-changed', { detail: { reason, id } })); } catch (e) {}
+  }
+
   // expose small helper for other scripts
   function onPointerContextMenu(ev) {
     if (!editSession) return;
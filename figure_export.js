@@ -0,0 +1,360 @@
+// figure_export.js
+// Exports the spectrogram as a report/paper figure: a chosen time/frequency range (current viewport,
+// full recording or custom) rendered at a chosen size, with time and frequency axes (same tick rules as
+// the on-screen axes), optional annotation boxes with their "Selection|Species" labels, a colour bar
+// and time/frequency scale bars. PNG is rasterised at the chosen pixel ratio; SVG keeps axes, boxes and
+// text as vectors around an embedded PNG of the spectrogram itself.
+// The image comes from spectrogram.js (_spectroFigure.renderRegion), so colormap, gain, dB levels and
+// display mode match what is on screen.
+
+(function () {
+  if (!window || !document) return;
+
+  const exportBtn = document.getElementById('figureExportBtn');
+  const scrollArea = document.getElementById('scrollArea');
+  if (!exportBtn || !scrollArea) return;
+
+  const MARGIN = { left: 72, right: 16, top: 16, bottom: 48 };
+  const COLORBAR_SPACE = 78;   // right margin taken by the colour bar and its labels
+  const COLORBAR_W = 14;
+  const BOX_STROKE = 'rgba(0,150,255,0.95)';
+  const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif';
+  const TIME_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+
+  function fileBaseName() {
+    const f = document.getElementById('file');
+    const name = (f && f.files && f.files[0] && f.files[0].name) || 'spectrogram';
+    const idx = name.lastIndexOf('.');
+    return idx > 0 ? name.slice(0, idx) : name;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  function niceStep(span, targetCount, steps) {
+    const raw = span / Math.max(1, targetCount);
+    for (const s of steps) if (s >= raw) return s;
+    return steps[steps.length - 1];
+  }
+
+  function formatSec(t, step) {
+    const digits = step < 0.01 ? 3 : step < 0.1 ? 2 : step < 1 ? 1 : 0;
+    return t.toFixed(digits);
+  }
+
+  function formatKHz(hz) { return (Math.round(hz / 10) / 100).toString(); }
+
+  function escapeXml(s) { return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]); }
+
+  // --- painters: the figure is described once and drawn to either backend ---
+  function canvasPainter(W, H, ratio) {
+    const c = document.createElement('canvas');
+    c.width = Math.round(W * ratio); c.height = Math.round(H * ratio);
+    const g = c.getContext('2d');
+    g.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return {
+      fillRect(x, y, w, h, color) { g.fillStyle = color; g.fillRect(x, y, w, h); },
+      strokeRect(x, y, w, h, color, lw) { g.strokeStyle = color; g.lineWidth = lw || 1; g.strokeRect(x, y, w, h); },
+      line(x1, y1, x2, y2, color, lw) { g.strokeStyle = color; g.lineWidth = lw || 1; g.beginPath(); g.moveTo(x1, y1); g.lineTo(x2, y2); g.stroke(); },
+      text(str, x, y, o) {
+        o = o || {};
+        g.save();
+        g.fillStyle = o.color || '#000';
+        g.font = (o.weight || 'normal') + ' ' + (o.size || 12) + 'px ' + FONT;
+        g.textAlign = o.align || 'left';
+        g.textBaseline = o.baseline || 'alphabetic';
+        g.translate(x, y);
+        if (o.rotate) g.rotate(o.rotate * Math.PI / 180);
+        if (o.halo) { g.lineWidth = 3; g.strokeStyle = o.halo; g.strokeText(str, 0, 0); }
+        g.fillText(str, 0, 0);
+        g.restore();
+      },
+      image(src, x, y, w, h) { g.imageSmoothingEnabled = true; g.imageSmoothingQuality = 'high'; g.drawImage(src, x, y, w, h); },
+      finish() { return new Promise((resolve) => c.toBlob(resolve, 'image/png')); }
+    };
+  }
+
+  function svgPainter(W, H) {
+    const parts = [];
+    const anchor = { left: 'start', center: 'middle', right: 'end' };
+    const baseline = { top: 'hanging', middle: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+    return {
+      fillRect(x, y, w, h, color) { parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${color}"/>`); },
+      strokeRect(x, y, w, h, color, lw) { parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="none" stroke="${color}" stroke-width="${lw || 1}"/>`); },
+      line(x1, y1, x2, y2, color, lw) { parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="${lw || 1}"/>`); },
+      text(str, x, y, o) {
+        o = o || {};
+        const attrs = [`x="0"`, `y="0"`, `font-family='${FONT}'`, `font-size="${o.size || 12}"`, `fill="${o.color || '#000'}"`,
+          `text-anchor="${anchor[o.align || 'left']}"`, `dominant-baseline="${baseline[o.baseline || 'alphabetic']}"`,
+          `transform="translate(${x},${y})${o.rotate ? ' rotate(' + o.rotate + ')' : ''}"`];
+        if (o.weight) attrs.push(`font-weight="${o.weight}"`);
+        if (o.halo) attrs.push(`stroke="${o.halo}" stroke-width="3" paint-order="stroke"`);
+        parts.push(`<text ${attrs.join(' ')}>${escapeXml(str)}</text>`);
+      },
+      image(src, x, y, w, h) {
+        parts.push(`<image x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="none" href="${src.toDataURL('image/png')}"/>`);
+      },
+      finish() {
+        const svg = `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">\n${parts.join('\n')}\n</svg>\n`;
+        return Promise.resolve(new Blob([svg], { type: 'image/svg+xml' }));
+      }
+    };
+  }
+
+  // colour bar swatch (1 x 256, top = brightest) from the current colormap
+  function colorbarCanvas() {
+    const lut = globalThis._spectroFigure.lut();
+    const c = document.createElement('canvas');
+    c.width = 1; c.height = 256;
+    const g = c.getContext('2d');
+    const img = g.createImageData(1, 256);
+    for (let i = 0; i < 256; i++) {
+      const v = 255 - i;
+      img.data[i * 4] = lut[v * 3]; img.data[i * 4 + 1] = lut[v * 3 + 1]; img.data[i * 4 + 2] = lut[v * 3 + 2]; img.data[i * 4 + 3] = 255;
+    }
+    g.putImageData(img, 0, 0);
+    return c;
+  }
+
+  // value range the colour bar spans, in the display mode's units (the level mapping the image was painted with)
+  function colorbarRange() {
+    const levels = globalThis._spectroFigure.levels() || {};
+    const gain = levels.gain || 1;
+    if (levels.pcen) return { top: levels.pcen.fullScale / gain, bottom: 0, unit: 'PCEN', digits: 1 };
+    const shift = 20 * Math.log10(gain);
+    const ceil = isFinite(levels.ceilDB) ? levels.ceilDB : 0;
+    const floor = isFinite(levels.floorDB) ? levels.floorDB : -80;
+    return { top: ceil - shift, bottom: floor - shift, unit: 'dB re peak', digits: 0 };
+  }
+
+  async function buildFigure(opts) {
+    const region = await globalThis._spectroFigure.renderRegion({
+      t0: opts.t0, t1: opts.t1, f0: opts.f0, f1: opts.f1,
+      width: Math.round(opts.width * opts.ratio), height: Math.round(opts.height * opts.ratio)
+    });
+    if (!region) throw new Error('Rendering was interrupted; try again');
+    const { t0, t1, f0, f1 } = region;
+    const plotW = opts.width, plotH = opts.height;
+    const right = MARGIN.right + (opts.colorbar ? COLORBAR_SPACE : 0);
+    const W = MARGIN.left + plotW + right, H = MARGIN.top + plotH + MARGIN.bottom;
+    const p = opts.format === 'svg' ? svgPainter(W, H) : canvasPainter(W, H, opts.ratio);
+    const px = MARGIN.left, py = MARGIN.top;
+    const fmap = globalThis._spectroFigure.freqMap(f0, f1);
+    const xOf = (t) => px + (t - t0) / (t1 - t0) * plotW;
+    const yOf = (hz) => py + (1 - fmap.hzToFrac(hz)) * plotH;
+
+    p.fillRect(0, 0, W, H, '#fff');
+    p.image(region.canvas, px, py, plotW, plotH);
+
+    // annotation boxes (clipped to the plot) and their labels
+    if (opts.boxes || opts.labels) {
+      const list = (globalThis._annotations && typeof globalThis._annotations.getAll === 'function') ? (globalThis._annotations.getAll() || []) : [];
+      const labels = (opts.labels && globalThis._displayAnnotationLabels && typeof globalThis._displayAnnotationLabels.labelTexts === 'function')
+        ? globalThis._displayAnnotationLabels.labelTexts() : new Map();
+      for (const a of list) {
+        if (a.endTime <= t0 || a.beginTime >= t1 || a.highFreq <= f0 || a.lowFreq >= f1) continue;
+        const x1 = xOf(Math.max(t0, a.beginTime)), x2 = xOf(Math.min(t1, a.endTime));
+        const y1 = yOf(Math.min(f1, a.highFreq)), y2 = yOf(Math.max(f0, a.lowFreq));
+        if (opts.boxes) p.strokeRect(x1, y1, Math.max(1, x2 - x1), Math.max(1, y2 - y1), a.color || BOX_STROKE, 1.5);
+        const text = labels.get(String(a.id));
+        if (opts.labels && text) p.text(text, x1 + 2, Math.max(py + 12, y1 - 3), { color: '#fff', size: 12, weight: '600', halo: 'rgba(0,0,0,0.85)' });
+      }
+    }
+
+    p.strokeRect(px, py, plotW, plotH, '#000', 1);
+
+    // time axis
+    const tStep = niceStep(t1 - t0, Math.max(2, Math.floor(plotW / 90)), TIME_STEPS);
+    for (let t = Math.ceil(t0 / tStep) * tStep; t <= t1 + 1e-9; t += tStep) {
+      const x = xOf(t);
+      p.line(x, py + plotH, x, py + plotH + 5, '#000', 1);
+      p.text(formatSec(t, tStep), x, py + plotH + 8, { align: 'center', baseline: 'top', size: 12 });
+    }
+    p.text('Time (s)', px + plotW / 2, H - 6, { align: 'center', baseline: 'bottom', size: 13 });
+
+    // frequency axis (same six ticks as drawYAxis)
+    const yTicks = 6;
+    for (let i = 0; i < yTicks; i++) {
+      const frac = 1 - i / (yTicks - 1);
+      const y = py + (1 - frac) * plotH;
+      p.line(px - 5, y, px, y, '#000', 1);
+      p.text(formatKHz(fmap.fracToHz(frac)), px - 8, y, { align: 'right', baseline: 'middle', size: 12 });
+    }
+    p.text('Frequency (kHz)', 16, py + plotH / 2, { align: 'center', baseline: 'middle', size: 13, rotate: -90 });
+
+    // scale bars inside the plot, bottom right; a frequency bar only on a linear axis
+    if (opts.scalebars) {
+      const barT = niceStep(t1 - t0, 6, TIME_STEPS);
+      const barW = barT / (t1 - t0) * plotW;
+      const bx = px + plotW - 14 - barW, by = py + plotH - 14;
+      p.fillRect(bx, by, barW, 3, '#fff');
+      p.text(barT >= 1 ? barT + ' s' : Math.round(barT * 1000) + ' ms', bx + barW / 2, by - 4, { align: 'center', baseline: 'bottom', size: 12, color: '#fff', halo: 'rgba(0,0,0,0.85)' });
+      if ((globalThis._spectroFreqScale || 'linear') === 'linear') {
+        const barF = niceStep(f1 - f0, 5, [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000]);
+        const barH = barF / (f1 - f0) * plotH;
+        p.fillRect(px + plotW - 14, by - 18 - barH, 3, barH, '#fff');
+        p.text(barF >= 1000 ? (barF / 1000) + ' kHz' : barF + ' Hz', px + plotW - 18, by - 18 - barH / 2, { align: 'right', baseline: 'middle', size: 12, color: '#fff', halo: 'rgba(0,0,0,0.85)' });
+      }
+    }
+
+    // colour bar
+    if (opts.colorbar) {
+      const cx = px + plotW + 14;
+      const range = colorbarRange();
+      p.image(colorbarCanvas(), cx, py, COLORBAR_W, plotH);
+      p.strokeRect(cx, py, COLORBAR_W, plotH, '#000', 1);
+      const steps = 4;
+      for (let i = 0; i <= steps; i++) {
+        const y = py + plotH * i / steps;
+        const v = range.top + (range.bottom - range.top) * i / steps;
+        p.line(cx + COLORBAR_W, y, cx + COLORBAR_W + 4, y, '#000', 1);
+        p.text(v.toFixed(range.digits), cx + COLORBAR_W + 6, y, { baseline: 'middle', size: 11 });
+      }
+      p.text(range.unit, cx + COLORBAR_W + 52, py + plotH / 2, { align: 'center', baseline: 'middle', size: 12, rotate: 90 });
+    }
+
+    return { blob: await p.finish(), t0, t1, partial: region.partial };
+  }
+
+  // --- dialog ---
+  function currentView() {
+    const pxPerSec = (globalThis._spectroMap && typeof globalThis._spectroMap.pxPerSec === 'function') ? globalThis._spectroMap.pxPerSec() : (globalThis._spectroPxPerSec || 1);
+    const t0 = Math.round(scrollArea.scrollLeft || 0) / Math.max(1e-9, pxPerSec);
+    const t1 = Math.min(globalThis._spectroDuration || t0, t0 + Math.max(1, scrollArea.clientWidth) / Math.max(1e-9, pxPerSec));
+    return { t0, t1, f0: globalThis._spectroYMin || 0, f1: globalThis._spectroYMax || (globalThis._spectroSampleRate || 44100) / 2 };
+  }
+
+  function field(label, input) {
+    const wrap = document.createElement('label');
+    wrap.className = 'fig-field';
+    wrap.appendChild(document.createTextNode(label));
+    wrap.appendChild(input);
+    return wrap;
+  }
+  function numberInput(id, value, step) {
+    const el = document.createElement('input');
+    el.type = 'number'; el.id = id; el.step = step || 'any'; el.value = value;
+    return el;
+  }
+  function checkbox(id, label, checked) {
+    const wrap = document.createElement('label');
+    wrap.className = 'fig-check';
+    const el = document.createElement('input');
+    el.type = 'checkbox'; el.id = id; el.checked = !!checked;
+    wrap.appendChild(el); wrap.appendChild(document.createTextNode(' ' + label));
+    return wrap;
+  }
+  function select(id, options, value) {
+    const el = document.createElement('select');
+    el.id = id;
+    options.forEach(([v, text]) => { const o = document.createElement('option'); o.value = v; o.textContent = text; el.appendChild(o); });
+    el.value = value;
+    return el;
+  }
+
+  function openDialog() {
+    if (!globalThis._spectroFigure || !globalThis._spectroNumFrames) { alert('Generate a spectrogram first'); return; }
+    const existing = document.getElementById('figureOverlay');
+    if (existing) existing.remove();
+    const view = currentView();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'figureOverlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Export figure');
+    const card = document.createElement('div');
+    card.id = 'figureCard';
+    const h = document.createElement('h4'); h.textContent = 'Export figure';
+    card.appendChild(h);
+
+    const range = select('fig-range', [['view', 'Current viewport'], ['full', 'Full recording'], ['custom', 'Custom range']], 'view');
+    const t0 = numberInput('fig-t0', view.t0.toFixed(3), '0.001');
+    const t1 = numberInput('fig-t1', view.t1.toFixed(3), '0.001');
+    const f0 = numberInput('fig-f0', (view.f0 / 1000).toFixed(2), '0.1');
+    const f1 = numberInput('fig-f1', (view.f1 / 1000).toFixed(2), '0.1');
+    const width = numberInput('fig-w', 1600, '10');
+    const height = numberInput('fig-h', 600, '10');
+    const ratio = select('fig-ratio', [['1', '1×'], ['2', '2×'], ['3', '3×'], ['4', '4×']], '2');
+    const format = select('fig-format', [['png', 'PNG'], ['svg', 'SVG (vector axes)']], 'png');
+
+    const grid = document.createElement('div');
+    grid.className = 'fig-grid';
+    [field('Range', range), field('Format', format), field('Start (s)', t0), field('End (s)', t1),
+      field('Low (kHz)', f0), field('High (kHz)', f1), field('Plot width (px)', width), field('Plot height (px)', height),
+      field('Pixel ratio', ratio)].forEach(el => grid.appendChild(el));
+    card.appendChild(grid);
+
+    const checks = document.createElement('div');
+    checks.className = 'fig-checks';
+    [checkbox('fig-boxes', 'Annotation boxes', true), checkbox('fig-labels', 'Selection|Species labels', true),
+      checkbox('fig-colorbar', 'Colour bar', true), checkbox('fig-scalebars', 'Scale bars', false)].forEach(el => checks.appendChild(el));
+    card.appendChild(checks);
+
+    const note = document.createElement('div');
+    note.className = 'fig-note';
+    // streamed figures are cropped from the resident tiles, which only hold the displayed band
+    const streamed = !!globalThis._spectroStreaming;
+    if (streamed) note.textContent = 'Streamed recording: only loaded sections are drawn, at the displayed frequency band (set Y min / Y max to change it).';
+    card.appendChild(note);
+
+    const actions = document.createElement('div');
+    actions.className = 'fig-actions';
+    const cancelBtn = document.createElement('button'); cancelBtn.type = 'button'; cancelBtn.textContent = 'Cancel';
+    const goBtn = document.createElement('button'); goBtn.type = 'button'; goBtn.textContent = 'Export';
+    actions.appendChild(cancelBtn); actions.appendChild(goBtn);
+    card.appendChild(actions);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+
+    function syncRange() {
+      const custom = range.value === 'custom';
+      [t0, t1].forEach(el => { el.disabled = !custom; });
+      [f0, f1].forEach(el => { el.disabled = !custom || streamed; });
+      if (range.value === 'full') { t0.value = '0'; t1.value = (globalThis._spectroDuration || 0).toFixed(3); }
+      if (range.value === 'view' || streamed) { const v = currentView(); if (range.value === 'view') { t0.value = v.t0.toFixed(3); t1.value = v.t1.toFixed(3); } f0.value = (v.f0 / 1000).toFixed(2); f1.value = (v.f1 / 1000).toFixed(2); }
+    }
+    range.addEventListener('change', syncRange);
+    syncRange();
+
+    const close = () => overlay.remove();
+    cancelBtn.addEventListener('click', close);
+    overlay.addEventListener('click', (ev) => { if (ev.target === overlay) close(); });
+    overlay.addEventListener('keydown', (ev) => { if (ev.key === 'Escape') close(); });
+
+    goBtn.addEventListener('click', async () => {
+      const opts = {
+        t0: Number(t0.value), t1: Number(t1.value), f0: Number(f0.value) * 1000, f1: Number(f1.value) * 1000,
+        width: Math.max(100, Math.min(20000, Number(width.value) || 1600)),
+        height: Math.max(50, Math.min(8000, Number(height.value) || 600)),
+        ratio: Number(ratio.value) || 1, format: format.value,
+        boxes: document.getElementById('fig-boxes').checked, labels: document.getElementById('fig-labels').checked,
+        colorbar: document.getElementById('fig-colorbar').checked, scalebars: document.getElementById('fig-scalebars').checked
+      };
+      if (!(opts.t1 > opts.t0)) { alert('End time must be after start time'); return; }
+      if (!(opts.f1 > opts.f0)) { alert('High frequency must be above low frequency'); return; }
+      goBtn.disabled = true; goBtn.textContent = 'Rendering…';
+      try {
+        const fig = await buildFigure(opts);
+        downloadBlob(fig.blob, `${fileBaseName()}_${fig.t0.toFixed(2)}-${fig.t1.toFixed(2)}s.${opts.format}`);
+        close();
+      } catch (e) {
+        console.error('Figure export failed', e);
+        alert('Figure export failed: ' + (e && e.message ? e.message : e));
+        goBtn.disabled = false; goBtn.textContent = 'Export';
+      }
+    });
+    goBtn.focus();
+  }
+
+  exportBtn.addEventListener('click', openDialog);
+  globalThis._figureExport = { open: openDialog, build: buildFigure };
+})();
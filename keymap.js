@@ -0,0 +1,276 @@
+// keymap.js
+// Keyboard shortcuts in one place: every action with its default keys, the user's remapping (kept in
+// localStorage, only the actions that differ from the defaults) and a help overlay (? or the toolbar
+// keyboard button) that lists the bindings and lets each one be changed.
+// Global actions (playback, scrolling, zoom, mode, jumping between annotations) run from here.
+// Context actions (commit / cancel / delete) stay with the modules that own the state they act on:
+// create_annotations.js, edit_annotations.js and spectrum_slice.js ask matches(ev, 'commit') etc.
+// Keys typed into inputs, and Space / Enter on a focused button, are left to the page; nothing runs
+// while a dialog is open. A key combination is "Ctrl+Alt+Shift+Meta+key" with Shift left out for
+// printable characters (the character already says it: "?" not "Shift+/") and letters lower-cased.
+
+(function () {
+  if (!window || !document) return;
+
+  const STORAGE_KEY = 'spectrogram.keymap';
+  const SCROLL_STEP = 0.25;    // of the viewport width per arrow key
+  const ZOOM_STEP = 1.25;      // time / frequency zoom factor per key press
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'OS'];
+  const DIALOG_SELECTOR = '#keymapOverlay, #figureOverlay, #metaOverlay, [aria-modal="true"]';
+
+  const scrollArea = document.getElementById('scrollArea');
+  const helpBtn = document.getElementById('keymapHelpBtn');
+
+  // --- global action handlers ---
+  function clickById(id) {
+    const el = document.getElementById(id);
+    if (el && !el.disabled) el.click();
+  }
+  function viewSec() {
+    const pxPerSec = (globalThis._spectroMap && typeof globalThis._spectroMap.pxPerSec === 'function') ? globalThis._spectroMap.pxPerSec() : (globalThis._spectroPxPerSec || 1);
+    return { pxPerSec, left: (scrollArea.scrollLeft || 0) / pxPerSec, width: scrollArea.clientWidth / pxPerSec };
+  }
+  function scrollByView(fraction) {
+    if (scrollArea) scrollArea.scrollLeft = Math.max(0, (scrollArea.scrollLeft || 0) + Math.round(scrollArea.clientWidth * fraction));
+  }
+  function zoom(kind, factor) {
+    const z = globalThis._spectroZoom;
+    if (!z) return;
+    if (kind === 'time') z.zoomTimeBy(factor);
+    else z.zoomFreqBy(factor);
+  }
+
+  // next / previous annotation by start time, from the box being edited, the last one jumped to
+  // (while the view has not moved since) or the centre of the view
+  let lastJump = null;   // { id, start, scrollLeft }
+  function jumpAnnotation(dir) {
+    if (!scrollArea || !globalThis._spectroDuration) return;
+    const list = (globalThis._annotations && typeof globalThis._annotations.getAll === 'function') ? (globalThis._annotations.getAll() || []) : [];
+    const sorted = list.map(a => ({ a, start: Math.min(a.beginTime, a.endTime), end: Math.max(a.beginTime, a.endTime) }))
+      .filter(x => isFinite(x.start)).sort((x, y) => x.start - y.start);
+    if (!sorted.length) return;
+    const edit = globalThis._editAnnotations;
+    const editingId = (edit && typeof edit.getEditingId === 'function') ? edit.getEditingId() : null;
+    const v = viewSec();
+    let ref = v.left + v.width / 2, refId = null;
+    const editing = editingId != null ? sorted.find(x => String(x.a.id) === String(editingId)) : null;
+    if (editing) { ref = editing.start; refId = editing.a.id; }
+    else if (lastJump && lastJump.scrollLeft === scrollArea.scrollLeft) { ref = lastJump.start; refId = lastJump.id; }
+    // ties on the start time are stepped through in list order
+    const at = refId != null ? sorted.findIndex(x => String(x.a.id) === String(refId)) : -1;
+    let target;
+    if (at >= 0) target = sorted[at + dir];
+    else if (dir > 0) target = sorted.find(x => x.start > ref);
+    else target = sorted.slice().reverse().find(x => x.start < ref);
+    if (!target) return;
+    scrollArea.scrollLeft = Math.max(0, Math.round((target.start + target.end) / 2 * v.pxPerSec - scrollArea.clientWidth / 2));
+    lastJump = { id: target.a.id, start: target.start, scrollLeft: scrollArea.scrollLeft };
+    if (edit && typeof edit.isEditMode === 'function' && edit.isEditMode() && typeof edit.startEdit === 'function') edit.startEdit(target.a.id);
+  }
+
+  // group, label, default keys and (for global actions) what runs
+  const ACTIONS = [
+    { id: 'play.toggle', group: 'Playback', label: 'Play / pause', keys: ['Space'], run: () => clickById('playPause') },
+    { id: 'play.stop', group: 'Playback', label: 'Stop and return to the start', keys: ['Shift+Space'], run: () => globalThis._playbackScrollJump && globalThis._playbackScrollJump.stopAndReset() },
+    { id: 'play.annotation', group: 'Playback', label: 'Play the selected annotation', keys: ['a'], run: () => globalThis._playAnnotation && globalThis._playAnnotation.playSelected() },
+    { id: 'view.scrollLeft', group: 'View', label: 'Scroll left', keys: ['ArrowLeft'], run: () => scrollByView(-SCROLL_STEP) },
+    { id: 'view.scrollRight', group: 'View', label: 'Scroll right', keys: ['ArrowRight'], run: () => scrollByView(SCROLL_STEP) },
+    { id: 'view.pageLeft', group: 'View', label: 'Scroll a page left', keys: ['PageUp', 'Shift+ArrowLeft'], run: () => scrollByView(-1) },
+    { id: 'view.pageRight', group: 'View', label: 'Scroll a page right', keys: ['PageDown', 'Shift+ArrowRight'], run: () => scrollByView(1) },
+    { id: 'view.start', group: 'View', label: 'Go to the start', keys: ['Home'], run: () => { if (scrollArea) scrollArea.scrollLeft = 0; } },
+    { id: 'view.end', group: 'View', label: 'Go to the end', keys: ['End'], run: () => { if (scrollArea) scrollArea.scrollLeft = scrollArea.scrollWidth; } },
+    { id: 'view.zoomIn', group: 'View', label: 'Zoom in (time)', keys: ['+', '='], run: () => zoom('time', ZOOM_STEP) },
+    { id: 'view.zoomOut', group: 'View', label: 'Zoom out (time)', keys: ['-'], run: () => zoom('time', 1 / ZOOM_STEP) },
+    { id: 'view.freqZoomIn', group: 'View', label: 'Zoom in (frequency)', keys: [']'], run: () => zoom('freq', ZOOM_STEP) },
+    { id: 'view.freqZoomOut', group: 'View', label: 'Zoom out (frequency)', keys: ['['], run: () => zoom('freq', 1 / ZOOM_STEP) },
+    { id: 'mode.create', group: 'Annotations', label: 'Create mode', keys: ['c'], run: () => clickById('toggleCreate') },
+    { id: 'mode.edit', group: 'Annotations', label: 'Edit mode', keys: ['e'], run: () => clickById('toggleEdit') },
+    { id: 'annotation.next', group: 'Annotations', label: 'Next annotation (selects it in Edit mode)', keys: ['n'], run: () => jumpAnnotation(1) },
+    { id: 'annotation.prev', group: 'Annotations', label: 'Previous annotation (selects it in Edit mode)', keys: ['p'], run: () => jumpAnnotation(-1) },
+    { id: 'commit', group: 'Annotations', label: 'Commit the pending box / edit', keys: ['Enter'] },
+    { id: 'cancel', group: 'Annotations', label: 'Cancel the pending box / edit, unfreeze the slice', keys: ['Escape'] },
+    { id: 'delete', group: 'Annotations', label: 'Delete the box being edited', keys: ['Delete', 'd'] },
+    { id: 'help', group: 'General', label: 'Keyboard shortcuts', keys: ['?'], run: () => openHelp() }
+  ];
+  const byId = {};
+  ACTIONS.forEach(a => { byId[a.id] = a; });
+
+  // --- bindings ---
+  let bindings = {};   // action id -> [combo]
+
+  function loadBindings() {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {}; } catch (e) { saved = {}; }
+    bindings = {};
+    ACTIONS.forEach(a => { bindings[a.id] = Array.isArray(saved[a.id]) ? saved[a.id].map(String) : a.keys.slice(); });
+  }
+  function saveBindings() {
+    const changed = {};
+    ACTIONS.forEach(a => { if (bindings[a.id].join('\n') !== a.keys.join('\n')) changed[a.id] = bindings[a.id]; });
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(changed)); } catch (e) { console.warn('could not store key bindings', e); }
+    window.dispatchEvent(new CustomEvent('keymap-changed'));
+  }
+
+  function comboFromEvent(ev) {
+    let key = ev.key;
+    if (!key || MODIFIER_KEYS.indexOf(key) >= 0) return null;
+    if (key === ' ' || key === 'Spacebar') key = 'Space';
+    else if (key === 'Esc') key = 'Escape';
+    const printable = key.length === 1;
+    if (printable) key = key.toLowerCase();
+    const mods = [];
+    if (ev.ctrlKey) mods.push('Ctrl');
+    if (ev.altKey) mods.push('Alt');
+    if (ev.shiftKey && !printable) mods.push('Shift');
+    if (ev.metaKey) mods.push('Meta');
+    return mods.concat(key).join('+');
+  }
+  // "Ctrl++" -> ['Ctrl', '+']
+  function splitCombo(combo) {
+    const m = String(combo).match(/^((?:(?:Ctrl|Alt|Shift|Meta)\+)*)(.+)$/);
+    return m ? m[1].split('+').filter(Boolean).concat(m[2]) : [String(combo)];
+  }
+  const KEY_NAMES = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Delete: 'Del' };
+  function keyLabel(combo) {
+    return splitCombo(combo).map(k => KEY_NAMES[k] || (k.length === 1 ? k.toUpperCase() : k)).join(' + ');
+  }
+
+  function matches(ev, actionId) {
+    const combo = comboFromEvent(ev);
+    return !!combo && (bindings[actionId] || []).indexOf(combo) >= 0;
+  }
+  function actionFor(combo) {
+    return ACTIONS.find(a => bindings[a.id].indexOf(combo) >= 0) || null;
+  }
+
+  // give combo to actionId, taking it from any other action; returns the action it was taken from
+  function assign(actionId, combo) {
+    const previous = actionFor(combo);
+    if (previous && previous.id !== actionId) bindings[previous.id] = bindings[previous.id].filter(k => k !== combo);
+    bindings[actionId] = [combo];
+    saveBindings();
+    return previous && previous.id !== actionId ? previous : null;
+  }
+  function resetAll() {
+    ACTIONS.forEach(a => { bindings[a.id] = a.keys.slice(); });
+    saveBindings();
+  }
+
+  // --- dispatch of the global actions ---
+  function ignoreTarget(ev, combo) {
+    const t = ev.target;
+    if (!t || t === document.body || t === document) return false;
+    if (t.isContentEditable) return true;
+    const tag = t.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag === 'INPUT') return ['checkbox', 'radio', 'button'].indexOf(t.type) < 0 || combo === 'Space' || combo === 'Enter';
+    if (tag === 'BUTTON' || tag === 'A' || tag === 'SUMMARY') return combo === 'Space' || combo === 'Enter';
+    return false;
+  }
+
+  window.addEventListener('keydown', (ev) => {
+    if (ev.defaultPrevented || ev.isComposing) return;
+    const combo = comboFromEvent(ev);
+    if (!combo || ignoreTarget(ev, combo)) return;
+    if (document.querySelector(DIALOG_SELECTOR)) return;
+    const action = actionFor(combo);
+    if (!action || !action.run) return;
+    ev.preventDefault();
+    try { action.run(ev); } catch (e) { console.error('shortcut ' + action.id + ' failed', e); }
+  });
+
+  // --- help overlay ---
+  function openHelp() {
+    const existing = document.getElementById('keymapOverlay');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'keymapOverlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Keyboard shortcuts');
+    overlay.tabIndex = -1;
+    const card = document.createElement('div');
+    card.id = 'keymapCard';
+    const h = document.createElement('h4'); h.textContent = 'Keyboard shortcuts';
+    card.appendChild(h);
+
+    const table = document.createElement('table');
+    const note = document.createElement('div');
+    note.className = 'keymap-note';
+    let capturing = null;   // { id, button }
+
+    function render() {
+      table.innerHTML = '';
+      let group = null;
+      ACTIONS.forEach(a => {
+        if (a.group !== group) {
+          group = a.group;
+          const gr = table.insertRow();
+          const th = document.createElement('th'); th.colSpan = 3; th.textContent = group;
+          gr.appendChild(th);
+        }
+        const tr = table.insertRow();
+        tr.insertCell().textContent = a.label;
+        const keysTd = tr.insertCell();
+        if (!bindings[a.id].length) keysTd.textContent = '—';
+        bindings[a.id].forEach(k => { const kbd = document.createElement('kbd'); kbd.textContent = keyLabel(k); keysTd.appendChild(kbd); });
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = capturing && capturing.id === a.id ? 'Press a key…' : 'Change';
+        btn.addEventListener('click', () => {
+          capturing = (capturing && capturing.id === a.id) ? null : { id: a.id };
+          note.textContent = capturing ? 'Press the new key for "' + a.label + '" (click the button again to cancel).' : '';
+          render();
+        });
+        tr.insertCell().appendChild(btn);
+      });
+    }
+
+    card.appendChild(table);
+    card.appendChild(note);
+    const actions = document.createElement('div');
+    actions.className = 'keymap-actions';
+    const resetBtn = document.createElement('button'); resetBtn.type = 'button'; resetBtn.textContent = 'Reset to defaults';
+    const closeBtn = document.createElement('button'); closeBtn.type = 'button'; closeBtn.textContent = 'Close';
+    actions.appendChild(resetBtn); actions.appendChild(closeBtn);
+    card.appendChild(actions);
+    overlay.appendChild(card);
+    document.body.appendChild(overlay);
+    render();
+    overlay.focus();
+
+    const close = () => overlay.remove();
+    closeBtn.addEventListener('click', close);
+    resetBtn.addEventListener('click', () => { capturing = null; resetAll(); note.textContent = 'Default keys restored.'; render(); });
+    overlay.addEventListener('click', (ev) => { if (ev.target === overlay) close(); });
+    overlay.addEventListener('keydown', (ev) => {
+      if (!capturing) {
+        if (ev.key === 'Escape') { ev.preventDefault(); close(); }
+        return;
+      }
+      const combo = comboFromEvent(ev);
+      if (!combo) return;
+      ev.preventDefault();
+      ev.stopPropagation();
+      const id = capturing.id;
+      capturing = null;
+      const taken = assign(id, combo);
+      note.textContent = taken ? keyLabel(combo) + ' was moved from "' + taken.label + '".' : '';
+      render();
+    });
+  }
+
+  loadBindings();
+  if (helpBtn) helpBtn.addEventListener('click', openHelp);
+
+  globalThis._keymap = {
+    matches,
+    keysFor: (actionId) => (bindings[actionId] || []).slice(),
+    label: keyLabel,
+    actions: () => ACTIONS.map(a => ({ id: a.id, group: a.group, label: a.label, defaults: a.keys.slice(), keys: bindings[a.id].slice() })),
+    set: (actionId, combos) => { if (!byId[actionId]) return false; bindings[actionId] = (combos || []).map(String); saveBindings(); return true; },
+    reset: resetAll,
+    openHelp
+  };
+})();
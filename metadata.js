@@ -7,12 +7,16 @@
 // - Exposes window.__openMetadataModal() API consistent with existing usage
 // - Recording date & time is placed in left column (same width as Latitude)
 // - Adds a fixed Rating dropdown (1-5) that persists like other fields
+// - Prefills Latitude, Longitude, Recording date & time, Recorder and Microphone from the metadata the
+//   recorder embedded in the chosen file (recorder_metadata.js), noting the source under each such field
 
 (function () {
   if (window.__metadataInit) return;
   window.__metadataInit = true;
 
   window.__lastMetadata = window.__lastMetadata || null;
+  // { values, sources } read from the chosen file (recorder_metadata.js), or null
+  window.__embeddedMetadata = window.__embeddedMetadata || null;
 
   // DOM builder helper
   function el(tag, props, ...children) {
@@ -61,6 +65,7 @@
 .species-suggestions .item:last-child { border-bottom: none; }
 .species-suggestions .item:hover, .species-suggestions .item.active { background:#eef6ff; }
 .species-mark { background:transparent; font-weight:600; color:#0b66ff; }
+.meta-source { margin-top:4px; color:#0b66ff; }
 @media (max-width:640px) { .meta-grid { grid-template-columns:1fr; } .meta-actions { justify-content:stretch; } }
 `;
     document.head.appendChild(style);
@@ -170,6 +175,8 @@
     card.appendChild(actions);
     card.appendChild(footer);
     overlay.appendChild(card);
+    // an edited field no longer shows where the embedded value came from
+    overlay.addEventListener('input', updateProvenance);
 
     return { overlay, speciesInput, speciesSuggest: overlay.querySelector('#meta-species-suggest') };
   }
@@ -182,6 +189,71 @@
     } catch (e) {}
   }
 
+  // embedded metadata: form field ids, and the value each field shows for an embedded value
+  const EMBEDDED_FIELD_IDS = { latitude: 'meta-lat', longitude: 'meta-lon', datetime: 'meta-datetime', recorder: 'meta-recorder', microphone: 'meta-mic' };
+  function embeddedValues() {
+    return (window.__embeddedMetadata && window.__embeddedMetadata.values) || {};
+  }
+  function embeddedDisplayValue(field, v) {
+    if (field !== 'datetime') return v;
+    const d = new Date(v);
+    if (isNaN(d)) return '';
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  // "From GUANO" (etc.) under each field still holding its embedded value
+  function updateProvenance() {
+    const emb = window.__embeddedMetadata;
+    Object.keys(EMBEDDED_FIELD_IDS).forEach(field => {
+      const input = document.getElementById(EMBEDDED_FIELD_IDS[field]);
+      if (!input || !input.parentNode) return;
+      let note = input.parentNode.querySelector('.meta-source');
+      const src = emb && emb.sources && emb.sources[field];
+      if (!src || !input.value || input.value !== embeddedDisplayValue(field, emb.values[field])) {
+        if (note) note.remove();
+        return;
+      }
+      if (!note) { note = el('div', { cls: 'small-note meta-source' }); input.parentNode.appendChild(note); }
+      note.textContent = 'From ' + src;
+    });
+  }
+
+  // form values for applyInitial*: saved metadata, then an explicit init; the recording-specific fields
+  // take the file's embedded value over the saved one (an explicit init still wins)
+  function initialSource(init) {
+    const explicit = (init && init !== window.__lastMetadata) ? init : {};
+    const source = Object.assign({}, window.__lastMetadata || {}, explicit);
+    const emb = embeddedValues();
+    Object.keys(EMBEDDED_FIELD_IDS).forEach(field => {
+      if (emb[field] != null && explicit[field] == null) source[field] = emb[field];
+    });
+    return source;
+  }
+
+  // read the chosen file's embedded metadata; an open form shows it in the fields the file embeds
+  // (other fields, typed in for an earlier file of the same deployment, are kept)
+  async function loadEmbeddedMetadata(file) {
+    window.__embeddedMetadata = null;
+    if (!file || !globalThis._recorderMetadata) return;
+    const result = await globalThis._recorderMetadata.read(file);
+    const fileInput = document.getElementById('file');
+    if (!fileInput || !fileInput.files || fileInput.files[0] !== file) return; // another file was chosen meanwhile
+    window.__embeddedMetadata = result;
+    Object.keys(EMBEDDED_FIELD_IDS).forEach(field => {
+      const input = document.getElementById(EMBEDDED_FIELD_IDS[field]);
+      if (input && result.values[field] != null) input.value = embeddedDisplayValue(field, result.values[field]);
+    });
+    updateProvenance();
+    document.dispatchEvent(new CustomEvent('metadata-embedded', { detail: result }));
+  }
+  (function wireEmbeddedMetadata() {
+    const fileInput = document.getElementById('file');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', () => { loadEmbeddedMetadata(fileInput.files && fileInput.files[0]); });
+    if (fileInput.files && fileInput.files[0]) loadEmbeddedMetadata(fileInput.files[0]);
+  })();
+
   // Contributors chip logic (used when modal created)
   function initContribWrap(wrap) {
     if (!wrap) return;
@@ -663,7 +735,7 @@
 
   // applyInitial helpers
   function applyInitial(init) {
-    const source = Object.assign({}, window.__lastMetadata || {}, init || {});
+    const source = initialSource(init);
     nodesSafeSet('meta-lat', (source.latitude !== undefined && source.latitude !== null) ? source.latitude : '');
     nodesSafeSet('meta-lon', (source.longitude !== undefined && source.longitude !== null) ? source.longitude : '');
     if (source.datetime) {
@@ -697,6 +769,7 @@
       const val = (source.rating === undefined || source.rating === null) ? '' : String(source.rating);
       if (rnode) rnode.value = (val === 'null' || val === 'undefined') ? '' : val;
     } catch (e) {}
+    updateProvenance();
   }
 
   function applyInitialToOpen(existingOverlay, init) {
@@ -715,7 +788,7 @@
       filenameLabel: existingOverlay.querySelector('#metaFilename')
     };
     if (!n.lat) return;
-    const source = Object.assign({}, window.__lastMetadata || {}, init && Object.keys(init).length ? init : {});
+    const source = initialSource(init && Object.keys(init).length ? init : null);
     try { if (source.latitude !== undefined && source.latitude !== null) n.lat.value = source.latitude; else n.lat.value = ''; } catch (e) { n.lat && (n.lat.value = ''); }
     try { if (source.longitude !== undefined && source.longitude !== null) n.lon.value = source.longitude; else n.lon.value = ''; } catch (e) { n.lon && (n.lon.value = ''); }
     if (source.datetime) {
@@ -765,6 +838,7 @@
       const rv = (source.rating === undefined || source.rating === null) ? '' : String(source.rating);
       if (n.rating) n.rating.value = (rv === 'null' || rv === 'undefined') ? '' : rv;
     } catch (e) {}
+    updateProvenance();
   }
 
   function closeModal() {
@@ -1,6 +1,8 @@
 // mouse.js
 // Crosshair overlay + axis-derived X/Y readout (readout text removed; crosshair replaces it).
-// Also converts mouse wheel into horizontal scrolling while pointer is over the spectrogram.
+// Also converts mouse wheel into horizontal scrolling while pointer is over the spectrogram;
+// Ctrl+wheel (what trackpad pinch sends) zooms time around the cursor, Ctrl+Shift+wheel or
+// Ctrl+wheel over the frequency axis zooms frequency (see _spectroZoom in spectrogram.js).
 
 (function () {
   const viewportWrapper = document.getElementById('viewportWrapper');
@@ -108,7 +110,9 @@
     const localY = clientY - canvasRect.top;
     const yInImage = localY - AXIS_TOP; // top of spectrogram image area
     const t = clamp(yInImage / Math.max(1, imageHeight - 1), 0, 1); // 0..1 top->bottom
-    const freqHz = clamp((1 - t) * ymaxHz, 0, ymaxHz);
+    // linear/log/mel scale lives in spectrogram.js; fall back to linear before it loads
+    const fmap = globalThis._spectroFreqMap;
+    const freqHz = clamp(fmap ? fmap.fracToHz(1 - t) : (1 - t) * ymaxHz, 0, ymaxHz);
 
     return { timeSec, freqHz, localX, localY, globalX, pxPerSec };
   }
@@ -195,8 +199,28 @@
     if (!scrollArea || !spectrogramCanvas) return;
     const EDIT_LAYER_ID = 'editPointerLayer'; // existing edit overlay id
     const OVERLAY_OPT_OUT_ATTR = 'data-allow-wheel'; // overlay can set this to opt out
+    const ZOOM_PER_PIXEL = 0.002; // zoom factor exp(-delta * this): about 0.82x per mouse-wheel notch
+    const axisCanvas = document.getElementById('axisCanvas');
+
+    function wheelPixels(ev, delta) {
+      if (ev.deltaMode === 1) return delta * 16;
+      if (ev.deltaMode === 2) return delta * window.innerHeight;
+      return delta;
+    }
 
     function onWheelCapture(ev) {
+      const zoom = globalThis._spectroZoom;
+      // Ctrl+wheel over the frequency axis zooms frequency
+      if (ev.ctrlKey && zoom && axisCanvas) {
+        const a = axisCanvas.getBoundingClientRect();
+        if (ev.clientX >= a.left && ev.clientX <= a.right && ev.clientY >= a.top && ev.clientY <= a.bottom) {
+          zoom.zoomFreqBy(Math.exp(-wheelPixels(ev, ev.deltaY) * ZOOM_PER_PIXEL), ev.clientY);
+          ev.preventDefault();
+          ev.stopPropagation();
+          return;
+        }
+      }
+
       // Quick bounding check: only care when pointer is inside spectrogram rectangle
       const r = spectrogramCanvas.getBoundingClientRect();
       if (ev.clientX < r.left || ev.clientX > r.right || ev.clientY < r.top || ev.clientY > r.bottom) return;
@@ -208,9 +232,18 @@
       }
 
       // Normalize delta to pixels
-      let deltaY = ev.deltaY;
-      if (ev.deltaMode === 1) deltaY *= 16;
-      else if (ev.deltaMode === 2) deltaY *= window.innerHeight;
+      const deltaY = wheelPixels(ev, ev.deltaY);
+
+      // zoom instead of scrolling (before the browser's page zoom gets it); some browsers turn
+      // Shift+wheel into deltaX
+      if (ev.ctrlKey && zoom) {
+        const factor = Math.exp(-wheelPixels(ev, ev.deltaY || ev.deltaX) * ZOOM_PER_PIXEL);
+        if (ev.shiftKey) zoom.zoomFreqBy(factor, ev.clientY);
+        else zoom.zoomTimeBy(factor, ev.clientX);
+        ev.preventDefault();
+        ev.stopPropagation();
+        return;
+      }
 
       const SCROLL_FACTOR = 3;
 
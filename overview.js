@@ -0,0 +1,271 @@
+// overview.js
+// Overview strip of the whole recording above the waveform panel, so the place in a long, zoomed-in
+// recording is never lost. The strip is a downsampled copy of _spectroSpectra (per-cell maximum
+// magnitude, mapped with the main view's colormap, gain, dB floor/ceiling and display mode as
+// _spectroFigure.levels() reports them), with the visible part of #scrollArea outlined,
+// the playhead reported by playback.js ('playhead-moved') and a tick per annotation, coloured by species.
+// Dragging the outline, or clicking elsewhere in the strip, scrolls the spectrogram there.
+// Streamed recordings have no full spectra; their strip fills in as chunks are analysed.
+
+(function () {
+  if (!window || !document) return;
+
+  const wrapper = document.getElementById('overviewWrapper');
+  const canvas = document.getElementById('overviewCanvas');
+  const scrollArea = document.getElementById('scrollArea');
+  const cmapSelect = document.getElementById('cmap');
+  if (!wrapper || !canvas || !scrollArea) return;
+
+  const ctx = canvas.getContext('2d', { alpha: false });
+  const dpr = window.devicePixelRatio || 1;
+  const ROWS = 32;                    // frequency cells over 0..Nyquist
+  const MAX_FRAMES_PER_COL = 16;      // frames sampled per column; longer spans are strided
+  const NOISE_FRAMES = 256;           // resident frames sampled for the strip's median noise profile
+  const VIEW_COLOR = '#ffffff';
+  const PLAYHEAD_COLOR = '#ff6b6b';
+  const TICK_H = 7;
+
+  let image = null;         // { key, canvas, data: ImageData, filled: Uint8Array per column, pcenM, noise } downsampled spectrogram
+  let playheadSec = null;
+  let drag = null;          // { grabSec } time under the pointer relative to the view's left edge
+  let rafId = 0;
+
+  function mapping() {
+    const pxPerSec = (globalThis._spectroMap && typeof globalThis._spectroMap.pxPerSec === 'function')
+      ? globalThis._spectroMap.pxPerSec()
+      : (globalThis._spectroPxPerSec || 1);
+    return {
+      pxPerSec,
+      duration: globalThis._spectroDuration || 0,
+      leftSec: (scrollArea.scrollLeft || 0) / Math.max(1e-9, pxPerSec),
+      viewSec: Math.max(1, scrollArea.clientWidth) / Math.max(1e-9, pxPerSec)
+    };
+  }
+
+  function resizeCanvas() {
+    const w = Math.max(1, canvas.clientWidth || wrapper.clientWidth), h = Math.max(1, wrapper.clientHeight);
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr); canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return { w, h };
+  }
+
+  // per-bin median magnitude over the resident frames of range ({ frame0, frame1 }, whole recording when
+  // empty), as the tile painter subtracts in 'denoise' mode; null while none of them is resident
+  function noiseProfile(store, numFrames, bins, range) {
+    const f0 = Math.max(0, Math.min(numFrames - 1, isFinite(range.frame0) ? range.frame0 : 0));
+    const f1 = Math.max(f0 + 1, Math.min(numFrames, isFinite(range.frame1) ? range.frame1 : numFrames));
+    const step = Math.max(1, (f1 - f0) / NOISE_FRAMES);
+    const frames = [];
+    for (let f = f0; f < f1; f += step) { const frame = store.getFrame(Math.floor(f)); if (frame) frames.push(frame); }
+    if (!frames.length) return null;
+    const profile = new Float32Array(bins), col = new Float32Array(frames.length);
+    for (let b = 0; b < bins; b++) {
+      for (let i = 0; i < frames.length; i++) col[i] = frames[i][b];
+      col.sort();
+      profile[b] = col[col.length >> 1];
+    }
+    return profile;
+  }
+
+  // the main view's level mapping (spectrogram_worker.js paintTiles) for the current analysis
+  function stripLevels(painted, numFrames, bins, cols) {
+    const topDB = globalThis._spectroTopDB;
+    const top = isFinite(painted.ceilDB) ? topDB + painted.ceilDB : topDB;
+    const bottom = isFinite(painted.floorDB) ? Math.min(top - 1, topDB + painted.floorDB) : globalThis._spectroBottomDB;
+    const pcen = painted.pcen;
+    return {
+      gain: painted.gain, bottom, range: (top - bottom) || 1e-6, pcen,
+      pcenIn: pcen ? 2 * bins * pcen.inputScale : 0,
+      // the smoother steps once per strip column, i.e. over numFrames / cols frames
+      pcenS: pcen ? 1 - Math.pow(1 - pcen.s, Math.max(1, numFrames / cols)) : 0,
+      pcenDeltaR: pcen ? Math.pow(pcen.delta, pcen.r) : 0
+    };
+  }
+
+  // one strip column: the loudest magnitude per row over (a stride of) its frames, less the noise profile
+  // in 'denoise' mode; false while none are resident. PCEN smooths along each row from the column to the left.
+  function fillColumn(img, x, w, store, numFrames, bins, lut, levels) {
+    const f0 = Math.floor(x / w * numFrames), f1 = Math.max(f0 + 1, Math.floor((x + 1) / w * numFrames));
+    const step = Math.max(1, Math.floor((f1 - f0) / MAX_FRAMES_PER_COL));
+    const cells = new Float32Array(ROWS);
+    const noise = img.noise;
+    let any = false;
+    for (let f = f0; f < f1; f += step) {
+      const frame = store.getFrame(f);
+      if (!frame) continue;
+      any = true;
+      for (let b = 0; b < bins; b++) {
+        const r = Math.floor(b / bins * ROWS);
+        const mag = noise ? frame[b] - noise[b] : frame[b];
+        if (mag > cells[r]) cells[r] = mag;
+      }
+    }
+    if (!any) return false;
+    const data = img.data;
+    const pcen = levels.pcen;
+    for (let r = 0; r < ROWS; r++) {
+      let v;
+      if (pcen) {
+        const e = cells[r] * levels.pcenIn;
+        const o = x * ROWS + r;
+        const prev = (x > 0 && img.filled[x - 1]) ? img.pcenM[o - ROWS] : -1;
+        const m = img.pcenM[o] = prev < 0 ? e : (1 - levels.pcenS) * prev + levels.pcenS * e;
+        v = (Math.pow(e / Math.pow(pcen.eps + m, pcen.alpha) + pcen.delta, pcen.r) - levels.pcenDeltaR) * levels.gain / pcen.fullScale;
+      } else {
+        v = (20 * Math.log10(cells[r] * levels.gain + 1e-12) - levels.bottom) / levels.range;
+      }
+      v = isFinite(v) ? Math.max(0, Math.min(1, v)) : 0;
+      const li = Math.round(v * 255) * 3;
+      const o = ((ROWS - 1 - r) * img.width + x) * 4;
+      data[o] = lut[li]; data[o + 1] = lut[li + 1]; data[o + 2] = lut[li + 2]; data[o + 3] = 255;
+    }
+    return true;
+  }
+
+  // (re)build the downsampled image for the current spectra, width and colormap; returns it or null
+  function updateImage(w) {
+    const store = globalThis._spectroSpectraStore;
+    const numFrames = store ? store.numFrames() : 0, bins = store ? store.bins() : 0;
+    const figure = globalThis._spectroFigure;
+    const painted = figure && typeof figure.levels === 'function' ? figure.levels() : null;
+    if (!numFrames || !bins || !painted || !isFinite(globalThis._spectroTopDB)) { image = null; return null; }
+    const cols = Math.max(1, Math.round(w));
+    const lut = figure.lut();
+    const inverted = !!(globalThis._colormaps && globalThis._colormaps.inverted());
+    const key = [globalThis._spectroSpectra ? 'mem' : 'stream', numFrames, bins, cols, globalThis._spectroTopDB, globalThis._spectroBottomDB, cmapSelect ? cmapSelect.value : '', inverted, painted.key].join('|');
+    if (!image || image.key !== key) {
+      const c = document.createElement('canvas');
+      c.width = cols; c.height = ROWS;
+      image = { key, canvas: c, filled: new Uint8Array(cols), data: c.getContext('2d').createImageData(cols, ROWS), pcenM: painted.pcen ? new Float32Array(cols * ROWS) : null, noise: null };
+    }
+    if (image.filled.every(Boolean)) return image;
+    if (painted.denoise && !image.noise) {
+      image.noise = painted.noise || noiseProfile(store, numFrames, bins, painted.denoise);
+      if (!image.noise) return image;
+    }
+    const levels = stripLevels(painted, numFrames, bins, cols);
+    let changed = false;
+    for (let x = 0; x < cols; x++) {
+      if (image.filled[x]) continue;
+      if (fillColumn(image.data, x, cols, store, numFrames, bins, lut, levels)) { image.filled[x] = 1; changed = true; }
+    }
+    if (changed) image.canvas.getContext('2d').putImageData(image.data, 0, 0);
+    return image;
+  }
+
+  // stable per-species colour so ticks of one species read as a group
+  function speciesColor(a) {
+    if (a.color) return a.color;
+    const s = String(a.species || '');
+    let hash = 0;
+    for (let i = 0; i < s.length; i++) hash = (hash * 31 + s.charCodeAt(i)) | 0;
+    return s ? 'hsl(' + (Math.abs(hash) % 360) + ',85%,60%)' : '#dddddd';
+  }
+
+  function drawAnnotationTicks(m, w, h) {
+    const list = (globalThis._annotations && typeof globalThis._annotations.getAll === 'function') ? (globalThis._annotations.getAll() || []) : [];
+    const editingId = (globalThis._editAnnotations && typeof globalThis._editAnnotations.getEditingId === 'function') ? globalThis._editAnnotations.getEditingId() : null;
+    for (const a of list) {
+      const x0 = Math.min(a.beginTime, a.endTime) / m.duration * w;
+      const x1 = Math.max(a.beginTime, a.endTime) / m.duration * w;
+      const selected = editingId != null && String(a.id) === String(editingId);
+      ctx.fillStyle = selected ? '#ffff66' : speciesColor(a);
+      ctx.fillRect(Math.floor(x0), h - TICK_H, Math.max(2, Math.round(x1 - x0)), TICK_H);
+    }
+  }
+
+  function redraw() {
+    rafId = 0;
+    const { w, h } = resizeCanvas();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+    const m = mapping();
+    if (!m.duration) return;
+    const img = updateImage(w);
+    if (img) {
+      ctx.imageSmoothingEnabled = true;
+      ctx.drawImage(img.canvas, 0, 0, w, h - TICK_H);
+    }
+    drawAnnotationTicks(m, w, h);
+
+    // visible part of the spectrogram: dim the rest, outline the view
+    const vx0 = m.leftSec / m.duration * w;
+    const vw = Math.max(3, Math.min(w, m.viewSec / m.duration * w));
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillRect(0, 0, Math.max(0, vx0), h - TICK_H);
+    ctx.fillRect(vx0 + vw, 0, Math.max(0, w - vx0 - vw), h - TICK_H);
+    ctx.strokeStyle = VIEW_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(Math.round(vx0) + 0.75, 0.75, Math.round(vw) - 1.5, h - 1.5);
+
+    if (playheadSec != null) {
+      ctx.fillStyle = PLAYHEAD_COLOR;
+      ctx.fillRect(Math.round(playheadSec / m.duration * w), 0, 2, h);
+    }
+  }
+
+  function scheduleRedraw() {
+    if (rafId) return;
+    rafId = requestAnimationFrame(redraw);
+  }
+
+  // --- navigation ---
+  function clientXToSec(clientX) {
+    const rect = canvas.getBoundingClientRect();
+    const m = mapping();
+    return Math.max(0, Math.min(m.duration, (clientX - rect.left) / Math.max(1, rect.width) * m.duration));
+  }
+  function scrollToLeftSec(sec) {
+    const m = mapping();
+    scrollArea.scrollLeft = Math.max(0, Math.round(sec * m.pxPerSec));
+  }
+
+  canvas.addEventListener('pointerdown', (ev) => {
+    const m = mapping();
+    if (!m.duration || ev.button !== 0) return;
+    ev.preventDefault();
+    const t = clientXToSec(ev.clientX);
+    // grabbing the outline keeps the offset; elsewhere the view is centred on the pointer first
+    if (t < m.leftSec || t > m.leftSec + m.viewSec) scrollToLeftSec(t - m.viewSec / 2);
+    drag = { grabSec: t - mapping().leftSec };
+    canvas.setPointerCapture(ev.pointerId);
+    canvas.style.cursor = 'grabbing';
+  });
+  canvas.addEventListener('pointermove', (ev) => {
+    if (!drag) {
+      const m = mapping();
+      const t = clientXToSec(ev.clientX);
+      canvas.style.cursor = (m.duration && t >= m.leftSec && t <= m.leftSec + m.viewSec) ? 'grab' : 'pointer';
+      return;
+    }
+    scrollToLeftSec(clientXToSec(ev.clientX) - drag.grabSec);
+  });
+  function endDrag(ev) {
+    if (!drag) return;
+    drag = null;
+    try { canvas.releasePointerCapture(ev.pointerId); } catch (e) {}
+    canvas.style.cursor = 'grab';
+  }
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  scrollArea.addEventListener('scroll', scheduleRedraw, { passive: true });
+  window.addEventListener('resize', scheduleRedraw, { passive: true });
+  window.addEventListener('spectrogram-generated', () => { playheadSec = null; scheduleRedraw(); });
+  window.addEventListener('spectrogram-chunk-ready', scheduleRedraw);
+  if (cmapSelect) cmapSelect.addEventListener('change', scheduleRedraw);
+  // a level or display mode change shows up as a new levels key once the main view repaints ('spectrogram-generated')
+  window.addEventListener('annotations-changed', scheduleRedraw, { passive: true });
+  window.addEventListener('edit-selection-changed', scheduleRedraw, { passive: true });
+  window.addEventListener('playhead-moved', (ev) => {
+    const x = ev && ev.detail ? ev.detail.screenX : null;
+    const m = mapping();
+    playheadSec = (typeof x === 'number' && isFinite(x)) ? (scrollArea.scrollLeft + x) / Math.max(1e-9, m.pxPerSec) : null;
+    scheduleRedraw();
+  });
+
+  globalThis._overview = { redraw: scheduleRedraw };
+  scheduleRedraw();
+})();
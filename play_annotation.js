@@ -0,0 +1,68 @@
+// play_annotation.js
+// Plays just the selected annotation: from its beginTime to its endTime, widened by the pre-roll and
+// post-roll (seconds) set next to the toolbar button, optionally band-passed to the box's lowFreq-highFreq
+// so only the call itself is heard. The selection is the box open in Edit mode, else the first ticked
+// table row; double-clicking a table row plays that row's annotation.
+// Playback itself is playback.js (_playbackScrollJump.playRange), so speed, time expansion and the
+// pre-FFT filter apply as for normal playback and the playhead stops at the end of the range.
+
+(function () {
+  if (!window || !document) return;
+
+  const playBtn = document.getElementById('annoPlayBtn');
+  const preInput = document.getElementById('annoPreRoll');
+  const postInput = document.getElementById('annoPostRoll');
+  const bandInput = document.getElementById('annoBandPass');
+  if (!playBtn) return;
+
+  const MAX_ROLL_SEC = 10;
+
+  function annotationById(id) {
+    const list = (globalThis._annotations && typeof globalThis._annotations.getAll === 'function') ? (globalThis._annotations.getAll() || []) : [];
+    return list.find(a => String(a.id) === String(id)) || null;
+  }
+
+  // the annotation in the edit session, else the first ticked table row; null when neither
+  function selectedAnnotation() {
+    const editingId = (globalThis._editAnnotations && typeof globalThis._editAnnotations.getEditingId === 'function') ? globalThis._editAnnotations.getEditingId() : null;
+    if (editingId != null) return annotationById(editingId);
+    const cb = document.querySelector('#annotationsContainer tbody input[type="checkbox"]:checked');
+    if (!cb) return null;
+    const aid = cb.dataset && cb.dataset.aid ? cb.dataset.aid : (cb.closest('tr[data-aid]') ? cb.closest('tr[data-aid]').getAttribute('data-aid') : null);
+    return aid != null ? annotationById(aid) : null;
+  }
+
+  function rollSec(input) {
+    const v = input ? parseFloat(input.value) : 0;
+    return isFinite(v) ? Math.max(0, Math.min(MAX_ROLL_SEC, v)) : 0;
+  }
+
+  async function play(a) {
+    const playback = globalThis._playbackScrollJump;
+    if (!a || !playback || typeof playback.playRange !== 'function') return;
+    const t0 = Math.min(a.beginTime, a.endTime) - rollSec(preInput);
+    const t1 = Math.max(a.beginTime, a.endTime) + rollSec(postInput);
+    const band = (bandInput && bandInput.checked && isFinite(a.lowFreq) && isFinite(a.highFreq))
+      ? { lo: Math.min(a.lowFreq, a.highFreq), hi: Math.max(a.lowFreq, a.highFreq) }
+      : null;
+    try { await playback.playRange(Math.max(0, t0), t1, band); } catch (e) { console.error('annotation playback failed', e); }
+  }
+
+  async function playSelected() {
+    const a = selectedAnnotation();
+    if (!a) { alert('Select an annotation (Edit mode) or tick a table row first.'); return; }
+    await play(a);
+  }
+
+  playBtn.addEventListener('click', playSelected);
+
+  // double-click a row (not its inputs) to play it
+  document.addEventListener('dblclick', (ev) => {
+    const tr = ev.target && ev.target.closest ? ev.target.closest('#annotationsContainer tr[data-aid]') : null;
+    if (!tr || ev.target.closest('input, select, button, textarea')) return;
+    const a = annotationById(tr.getAttribute('data-aid'));
+    if (a) play(a);
+  });
+
+  globalThis._playAnnotation = { play: (id) => play(annotationById(id)), playSelected };
+})();
@@ -12,6 +12,43 @@
   playBtn.style.marginLeft = '8px';
   if (controls) controls.appendChild(playBtn);
 
+  // playback speed (slowed-down listening); "keep pitch" time-stretches (time_stretch.js) instead of resampling
+  const SPEEDS = [[2, '2×'], [1.5, '1.5×'], [1, '1×'], [0.75, '3/4×'], [0.5, '1/2×'], [0.25, '1/4×'], [0.125, '1/8×'], [0.0625, '1/16×']];
+  const speedSelect = document.createElement('select');
+  speedSelect.id = 'playSpeed';
+  speedSelect.title = 'Playback speed';
+  SPEEDS.forEach(([v, label]) => { const o = document.createElement('option'); o.value = String(v); o.textContent = label; speedSelect.appendChild(o); });
+  speedSelect.value = '1';
+  const keepPitchLabel = document.createElement('label');
+  keepPitchLabel.title = 'Keep the original pitch when not playing at 1×';
+  const keepPitchInput = document.createElement('input');
+  keepPitchInput.type = 'checkbox';
+  keepPitchInput.id = 'keepPitch';
+  keepPitchLabel.appendChild(keepPitchInput);
+  keepPitchLabel.appendChild(document.createTextNode(' keep pitch'));
+  if (controls) { controls.appendChild(speedSelect); controls.appendChild(keepPitchLabel); }
+
+  // heterodyne listening for ultrasonic recordings: the carrier (axis kHz) is set here, by Alt+click on the
+  // spectrogram or by clicking the frequency axis
+  const hetLabel = document.createElement('label');
+  hetLabel.title = 'Heterodyne: mix the band around the carrier down to audible frequencies';
+  const hetInput = document.createElement('input');
+  hetInput.type = 'checkbox';
+  hetInput.id = 'heterodyne';
+  hetLabel.appendChild(hetInput);
+  hetLabel.appendChild(document.createTextNode(' heterodyne '));
+  const hetFreqInput = document.createElement('input');
+  hetFreqInput.type = 'number';
+  hetFreqInput.id = 'hetFreq';
+  hetFreqInput.min = '0';
+  hetFreqInput.step = '0.1';
+  hetFreqInput.value = '40';
+  hetFreqInput.style.width = '64px';
+  hetFreqInput.title = 'Carrier (kHz): Alt+click the spectrogram or click the frequency axis to tune';
+  hetLabel.appendChild(hetFreqInput);
+  hetLabel.appendChild(document.createTextNode(' kHz'));
+  if (controls) controls.appendChild(hetLabel);
+
   // Playhead overlay
   const overlay = document.createElement('canvas');
   overlay.id = 'playheadOverlay';
@@ -47,6 +84,7 @@
   // Controls we must disable during playback
   const xzoomSelect = document.getElementById('xzoom');
   const ymaxInput = document.getElementById('ymax');
+  const yminInput = document.getElementById('ymin');
 
   // Timing/state
   let audioCtx = null;
@@ -58,11 +96,238 @@
   let rafId = null;
   let startInProgress = false;
   let reachedEOF = false; // tracks natural EOF
+  let playSpeed = 1;         // speed of the running source (the selector may have moved on since it started)
+  let keepPitch = false;
+  let heterodyne = false;    // heterodyne output for the running source
+  let playRangeEnd = null;   // axis time where playRange() playback stops, or null
+  let playRangeBand = null;  // { lo, hi } Hz band-pass of playRange(), or null
   const EPS = 1e-6;
   const dpr = window.devicePixelRatio || 1;
-  const SAMPLE_RATE = globalThis._spectroSampleRate || 44100;
+  // the rate follows the loaded file (native-rate WAV can be anything up to 384 kHz and beyond)
+  function sampleRate() { return globalThis._spectroSampleRate || 44100; }
+
+  function quantizeToSample(sec) { const sr = sampleRate(); const frames = Math.round(sec * sr); return frames / sr; }
+
+  // time expansion (_spectroTimeExpansion, spectrogram.js): every axis second lasts `factor` seconds of output.
+  // 'file' recordings are already expanded, so the buffer is played as is and axis times map to factor x the
+  // buffer time; 'playback' recordings are real time and are slowed down through playbackRate instead.
+  function timeExpansion() {
+    const te = globalThis._spectroTimeExpansion;
+    return (te && te.factor > 1) ? te : { factor: 1, mode: 'file' };
+  }
+  function axisToBufferSec(sec) { const te = timeExpansion(); return te.mode === 'file' ? sec * te.factor : sec; }
+  function bufferToAxisSec(sec) { const te = timeExpansion(); return te.mode === 'file' ? sec / te.factor : sec; }
+  function outputToAxisSec(sec) { return sec * playSpeed / timeExpansion().factor; }
+  function readSpeed() { const v = Number(speedSelect.value); return SPEEDS.some(([x]) => x === v) ? v : 1; }
+  function sourceRate() { const te = timeExpansion(); return te.mode === 'playback' ? 1 / te.factor : 1; }
+  // axis Hz as heard: time expansion divides by its factor, a resampled speed multiplies by the speed
+  function toOutputHz(hz) { return hz / timeExpansion().factor * (keepPitch ? 1 : playSpeed); }
+
+  // playable AudioBuffer for the decoded audio (native-rate WAV decodes to a plain object); cached per decode
+  let playableSrc = null, playableBuf = null;
+  function playableBuffer() {
+    const decoded = globalThis._spectroAudioBuffer;
+    if (!decoded || !audioCtx) return null;
+    if (decoded !== playableSrc) {
+      playableSrc = decoded;
+      playableBuf = globalThis._wavDecoder ? globalThis._wavDecoder.toAudioBuffer(audioCtx, decoded) : decoded;
+    }
+    return playableBuf;
+  }
+
+  // Streamed recordings (no _spectroAudioBuffer, see spectrogram.js) play through an
+  // AudioBufferSourceNode look-alike that reads _spectroAudioSource in short segments and
+  // schedules them back to back, staying STREAM_READ_AHEAD_SEC ahead of the output.
+  // With stretchSpeed the segments are time-stretched by 1 / stretchSpeed on the way (keep pitch).
+  const STREAM_SEGMENT_SEC = 5;
+  const STREAM_READ_AHEAD_SEC = 12;
+  function createStreamingSource(ctx, provider, rate, stretchSpeed) {
+    const sr = provider.sampleRate;
+    const stretcher = stretchSpeed ? globalThis._timeStretch.create(sr, provider.numberOfChannels, stretchSpeed) : null;
+    const segFrames = Math.max(1, Math.round(STREAM_SEGMENT_SEC * sr));
+    let dest = null;
+    let nodes = [];
+    let timer = 0;
+    let reading = false;
+    let stopped = false;
+    let nextFrame = 0;
+    let nextTime = 0;
+    let prepared = null;
+
+    function toFrame(sec) { return Math.max(0, Math.min(provider.length, Math.round(Math.max(0, sec || 0) * sr))); }
+
+    function schedule(decoded) {
+      if (!decoded || !decoded.length) { nextFrame = provider.length; return; }
+      nextFrame += decoded.length;
+      if (stretcher) decoded = stretcher.process(decoded, nextFrame >= provider.length);
+      if (!decoded.length) return;
+      const node = ctx.createBufferSource();
+      node.buffer = globalThis._wavDecoder ? globalThis._wavDecoder.toAudioBuffer(ctx, decoded) : decoded;
+      node.playbackRate.value = rate;
+      node.connect(dest || ctx.destination);
+      // a late read starts immediately rather than in the past
+      node.start(Math.max(nextTime, ctx.currentTime));
+      nextTime = Math.max(nextTime, ctx.currentTime) + decoded.length / sr / rate;
+      nodes.push(node);
+      node.onended = () => {
+        nodes = nodes.filter(n => n !== node);
+        if (!stopped && !nodes.length && nextFrame >= provider.length && typeof src.onended === 'function') src.onended();
+      };
+    }
+
+    async function readAhead() {
+      if (reading) return;
+      reading = true;
+      try {
+        while (!stopped && nextFrame < provider.length && nextTime - ctx.currentTime < STREAM_READ_AHEAD_SEC) {
+          const decoded = await provider.read(nextFrame, segFrames);
+          if (stopped) return;
+          schedule(decoded);
+        }
+      } catch (e) {
+        console.error('streamed playback read failed', e);
+      } finally {
+        reading = false;
+      }
+    }
+
+    const src = {
+      buffer: { duration: provider.duration },
+      onended: null,
+      connect(d) { dest = d; },
+      disconnect() { nodes.forEach(n => { try { n.disconnect(); } catch (e) {} }); },
+      // read the first segment before start() so file I/O does not delay the start time
+      async prepare(offset) { const f = toFrame(offset); prepared = { frame: f, decoded: await provider.read(f, segFrames) }; },
+      start(when, offset) {
+        nextFrame = toFrame(offset);
+        if (nextFrame >= provider.length) throw new RangeError('start offset is past the end of the recording');
+        nextTime = Math.max(ctx.currentTime, when || 0);
+        if (prepared && prepared.frame === nextFrame) schedule(prepared.decoded);
+        prepared = null;
+        readAhead();
+        timer = setInterval(readAhead, 250);
+      },
+      stop() {
+        stopped = true;
+        if (timer) { clearInterval(timer); timer = 0; }
+        nodes.forEach(n => { n.onended = null; try { n.stop(0); } catch (e) {} });
+      }
+    };
+    return src;
+  }
+
+  // optional pre-FFT filter of the spectrogram (_spectroFilter, spectrogram.js) mirrored on the output with
+  // the same Butterworth sections; BiquadFilterNode takes the low/high-pass Q in dB. The cut-offs are in axis Hz,
+  // which time expansion divides by its factor on the way out and a resampled speed multiplies by the speed.
+  // playRange() can add a band-pass (4th-order high-pass + low-pass) to an annotation's frequency range.
+  // Heterodyne mode then multiplies the result by the carrier (an OscillatorNode driving a GainNode's gain)
+  // and low-passes it, leaving the difference tones of the band within HET_BANDWIDTH_HZ of the carrier.
+  const filterPlaybackInput = document.getElementById('filterPlayback');
+  const BAND_QS = [0.5412, 1.3066]; // 4th-order Butterworth sections
+  const HET_BANDWIDTH_HZ = 10000;
+  let filterNodes = [];
+  let hetNodes = null;       // { osc, nodes } of the heterodyne mixer while it is connected
+  function playbackOutput() {
+    filterNodes.forEach(n => { try { n.disconnect(); } catch (e) {} });
+    filterNodes = [];
+    stopHeterodyne();
+    const out = heterodyne ? heterodyneInput() : audioCtx.destination;
+    const f = globalThis._spectroFilter;
+    const sections = (f && f.sections && filterPlaybackInput && filterPlaybackInput.checked) ? f.sections.slice() : [];
+    if (playRangeBand) {
+      const nyq = sampleRate() / 2;
+      if (playRangeBand.lo > 0) BAND_QS.forEach(q => sections.push({ kind: 'highpass', freq: playRangeBand.lo, q }));
+      if (playRangeBand.hi < nyq) BAND_QS.forEach(q => sections.push({ kind: 'lowpass', freq: playRangeBand.hi, q }));
+    }
+    if (!sections.length) return out;
+    filterNodes = sections.map(sec => {
+      const node = audioCtx.createBiquadFilter();
+      node.type = sec.kind;
+      node.frequency.value = Math.max(1, Math.min(toOutputHz(sec.freq), audioCtx.sampleRate / 2 - 1));
+      node.Q.value = 20 * Math.log10(sec.q);
+      return node;
+    });
+    for (let i = 0; i < filterNodes.length - 1; i++) filterNodes[i].connect(filterNodes[i + 1]);
+    filterNodes[filterNodes.length - 1].connect(out);
+    return filterNodes[0];
+  }
+
+  function carrierHz() { const v = parseFloat(hetFreqInput.value); return isFinite(v) && v > 0 ? v * 1000 : 0; }
+
+  // mixer -> 4th-order low-pass -> destination; returns the mixer
+  function heterodyneInput() {
+    const osc = audioCtx.createOscillator();
+    osc.frequency.value = Math.min(toOutputHz(carrierHz()), audioCtx.sampleRate / 2);
+    const depth = audioCtx.createGain();
+    depth.gain.value = 2;    // the difference tone gets half of the product's amplitude
+    const mixer = audioCtx.createGain();
+    mixer.gain.value = 0;    // the oscillator supplies the whole gain
+    osc.connect(depth);
+    depth.connect(mixer.gain);
+    const lowpass = BAND_QS.map(q => {
+      const node = audioCtx.createBiquadFilter();
+      node.type = 'lowpass';
+      node.frequency.value = Math.min(HET_BANDWIDTH_HZ, audioCtx.sampleRate / 2 - 1);
+      node.Q.value = 20 * Math.log10(q);
+      return node;
+    });
+    mixer.connect(lowpass[0]);
+    lowpass[0].connect(lowpass[1]);
+    lowpass[1].connect(audioCtx.destination);
+    osc.start();
+    hetNodes = { osc, nodes: [osc, depth, mixer].concat(lowpass) };
+    return mixer;
+  }
+  function stopHeterodyne() {
+    if (!hetNodes) return;
+    try { hetNodes.osc.stop(); } catch (e) {}
+    hetNodes.nodes.forEach(n => { try { n.disconnect(); } catch (e) {} });
+    hetNodes = null;
+  }
+
+  // a context at the device rate would resample ultrasonic content away before the mixer: heterodyne playback
+  // runs in one fast enough for the whole output band (browsers accept about 3-768 kHz); normal playback
+  // goes back to a default-rate context
+  const MAX_CONTEXT_RATE = 768000;
+  let hetContext = false;    // audioCtx was created at a raised rate for heterodyne
+  async function ensureContextRate() {
+    const need = heterodyne ? Math.min(MAX_CONTEXT_RATE, Math.ceil(2 * toOutputHz(sampleRate() / 2) / 1000) * 1000) : 0;
+    if (audioCtx && (need ? audioCtx.sampleRate >= need : !hetContext)) return;
+    const CtxClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (audioCtx) { try { await audioCtx.close(); } catch (e) {} }
+    playableSrc = null; playableBuf = null;
+    hetContext = !!need;
+    if (!need) { audioCtx = new CtxClass(); return; }
+    try { audioCtx = new CtxClass({ sampleRate: need }); } catch (e) {
+      audioCtx = new CtxClass();
+      console.warn('heterodyne: no ' + need + ' Hz audio context, mixing only up to ' + audioCtx.sampleRate / 2 + ' Hz', e);
+    }
+  }
+
+  // decoded audio as a segment provider, for the time-stretching path
+  function bufferProvider(decoded) {
+    return {
+      sampleRate: decoded.sampleRate, numberOfChannels: decoded.numberOfChannels, length: decoded.length, duration: decoded.duration,
+      read: async (start, count) => {
+        const s0 = Math.max(0, Math.min(decoded.length, start)), n = Math.max(0, Math.min(decoded.length - s0, count));
+        return { sampleRate: decoded.sampleRate, numberOfChannels: decoded.numberOfChannels, length: n, duration: n / decoded.sampleRate, getChannelData: (c) => decoded.getChannelData(c).subarray(s0, s0 + n) };
+      }
+    };
+  }
 
-  function quantizeToSample(sec) { const frames = Math.round(sec * SAMPLE_RATE); return frames / SAMPLE_RATE; }
+  // source for the current playSpeed / keepPitch (set by startPlayback)
+  function createSource() {
+    const streamed = !globalThis._spectroAudioBuffer && globalThis._spectroAudioSource;
+    if (keepPitch && playSpeed !== 1 && globalThis._timeStretch) {
+      const provider = streamed ? globalThis._spectroAudioSource : bufferProvider(globalThis._spectroAudioBuffer);
+      return createStreamingSource(audioCtx, provider, sourceRate(), playSpeed);
+    }
+    if (streamed) return createStreamingSource(audioCtx, globalThis._spectroAudioSource, sourceRate() * playSpeed);
+    const node = audioCtx.createBufferSource();
+    node.buffer = playableBuffer();
+    node.playbackRate.value = sourceRate() * playSpeed;
+    return node;
+  }
 
   function readAudioTimestamp() {
     if (!audioCtx) return { ok: false };
@@ -153,15 +418,49 @@
     footer.height = 28;
   }
 
+  let playheadX = null;      // overlay x of the last drawn playhead
   function drawPlayheadAt(screenX) {
+    playheadX = Math.max(0, Math.min(overlay.width / dpr - 1, Math.round(screenX)));
+    paintOverlay();
+    // other time-aligned panels (waveform.js) mirror the playhead
+    window.dispatchEvent(new CustomEvent('playhead-moved', { detail: { screenX: playheadX } }));
+  }
+
+  function paintOverlay() {
     overlayCtx.clearRect(0, 0, overlay.width / dpr, overlay.height / dpr);
-    overlayCtx.strokeStyle = '#ff6b6b';
-    overlayCtx.lineWidth = Math.max(1, 2);
-    const x = Math.max(0, Math.min(overlay.width / dpr - 1, Math.round(screenX)));
+    if (playheadX != null) {
+      overlayCtx.strokeStyle = '#ff6b6b';
+      overlayCtx.lineWidth = Math.max(1, 2);
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(playheadX + 0.5, 0);
+      overlayCtx.lineTo(playheadX + 0.5, overlay.height / dpr);
+      overlayCtx.stroke();
+    }
+    drawCarrierLine();
+  }
+
+  // heterodyne carrier: dashed line across the view at its frequency, when inside the displayed band
+  function drawCarrierLine() {
+    const hz = carrierHz();
+    if (!hetInput.checked || !hz) return;
+    const lo = globalThis._spectroYMin || 0, hi = globalThis._spectroYMax || sampleRate() / 2;
+    if (hz < lo || hz > hi) return;
+    const fmap = globalThis._spectroFreqMap;
+    const w = overlay.width / dpr, h = overlay.height / dpr;
+    const y = Math.round((1 - (fmap ? fmap.hzToFrac(hz) : (hz - lo) / Math.max(1, hi - lo))) * (h - 1)) + 0.5;
+    overlayCtx.save();
+    overlayCtx.strokeStyle = '#66ff99';
+    overlayCtx.lineWidth = 1;
+    overlayCtx.setLineDash([6, 4]);
     overlayCtx.beginPath();
-    overlayCtx.moveTo(x + 0.5, 0);
-    overlayCtx.lineTo(x + 0.5, overlay.height / dpr);
+    overlayCtx.moveTo(0, y);
+    overlayCtx.lineTo(w, y);
     overlayCtx.stroke();
+    overlayCtx.fillStyle = '#66ff99';
+    overlayCtx.font = '11px system-ui, sans-serif';
+    overlayCtx.textBaseline = y < 14 ? 'top' : 'bottom';
+    overlayCtx.fillText('het ' + (hz / 1000).toFixed(1) + ' kHz', 4, y < 14 ? y + 3 : y - 3);
+    overlayCtx.restore();
   }
 
   function renderXAxisTicks() {
@@ -248,15 +547,15 @@
     let played = 0;
     const ts = readAudioTimestamp();
     if (playbackMeta && playbackMeta.method === 'getOutputTimestamp' && ts.ok && ts.method === 'getOutputTimestamp') {
-      const elapsed = Math.max(0, ts.contextTime - playbackMeta.startupContextTime);
+      const elapsed = outputToAxisSec(Math.max(0, ts.contextTime - playbackMeta.startupContextTime));
       played = playbackMeta.startOffset + elapsed;
     } else if (playbackMeta && playbackMeta.method === 'currentTime') {
       const now = audioCtx.currentTime;
-      const elapsed = Math.max(0, now - playbackMeta.startupContextTime);
+      const elapsed = outputToAxisSec(Math.max(0, now - playbackMeta.startupContextTime));
       played = playbackMeta.startOffset + elapsed;
     } else {
       const now = audioCtx ? audioCtx.currentTime : 0;
-      played = (now - startedAt) + pausedAt;
+      played = outputToAxisSec(now - startedAt) + pausedAt;
     }
     return played;
   }
@@ -276,6 +575,10 @@
       finalizeAtEOF(s);
       return;
     }
+    if (playRangeEnd != null && played >= playRangeEnd) {
+      finishRange(s);
+      return;
+    }
 
     const globalX = Math.round(timeToGlobalX(played));
     const viewWidth = Math.max(1, scrollArea.clientWidth);
@@ -316,9 +619,22 @@
     reachedEOF = true;
   }
 
+  // playRange() reached its end: stop there, leaving the playhead at the end of the range
+  function finishRange(s) {
+    const end = playRangeEnd;
+    stopAndCleanup(false);
+    pausedAt = quantizeToSample(end);
+    if (axisReady) {
+      drawPlayheadAt(Math.round(end * s.pxPerSec) - Math.round(scrollArea.scrollLeft || 0));
+      renderXAxisTicks();
+    }
+  }
+  function clearRange() { playRangeEnd = null; playRangeBand = null; }
+
   function setControlsWhilePlaying(disabled) {
     if (xzoomSelect) xzoomSelect.disabled = !!disabled;
     if (ymaxInput) ymaxInput.disabled = !!disabled;
+    if (yminInput) yminInput.disabled = !!disabled;
   }
 
   function stopAndCleanup(resetOffset) {
@@ -328,6 +644,8 @@
     }
     if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
     if (resetOffset) pausedAt = 0;
+    clearRange();
+    stopHeterodyne();
     isPlaying = false;
     playbackMeta = null;
     playBtn.textContent = 'Play';
@@ -353,21 +671,21 @@
     const ts = readAudioTimestamp();
     if (!ts.ok) {
       const now = audioCtx.currentTime;
-      const elapsed = Math.max(0, now - startedAt);
+      const elapsed = outputToAxisSec(Math.max(0, now - startedAt));
       let p = pausedAt + elapsed;
       p = quantizeToSample(p);
       pausedAt = p;
       return pausedAt;
     }
     if (playbackMeta && playbackMeta.startupContextTime != null) {
-      const elapsed = Math.max(0, ts.contextTime - playbackMeta.startupContextTime);
+      const elapsed = outputToAxisSec(Math.max(0, ts.contextTime - playbackMeta.startupContextTime));
       let p = playbackMeta.startOffset + elapsed;
       p = quantizeToSample(p);
       pausedAt = p;
       return pausedAt;
     }
     const now = audioCtx.currentTime;
-    const elapsed = Math.max(0, now - startedAt);
+    const elapsed = outputToAxisSec(Math.max(0, now - startedAt));
     let p = pausedAt + elapsed;
     p = quantizeToSample(p);
     pausedAt = p;
@@ -396,7 +714,7 @@
   async function startPlayback() {
     const s = spectro();
     if (!s.tiles.length) { info && (info.textContent = 'Playback: no tiles available (generate spectrogram first)'); return; }
-    if (!globalThis._spectroAudioBuffer) { info && (info.textContent = 'Playback: missing audio buffer'); return; }
+    if (!globalThis._spectroAudioBuffer && !globalThis._spectroAudioSource) { info && (info.textContent = 'Playback: missing audio buffer'); return; }
 
     // If we are about to start play after reaching EOF and the play offset is at start,
     // automatically reset scroll to leftmost so visual context begins at start.
@@ -412,11 +730,12 @@
       reachedEOF = false;
     }
 
-    if (!audioCtx) {
-      const CtxClass = globalThis.AudioContext || globalThis.webkitAudioContext;
-      if (!CtxClass) { info && (info.textContent = 'AudioContext not supported'); return; }
-      audioCtx = new CtxClass();
-    }
+    const CtxClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!CtxClass) { info && (info.textContent = 'AudioContext not supported'); return; }
+    playSpeed = readSpeed();
+    keepPitch = keepPitchInput.checked;
+    heterodyne = hetInput.checked;
+    await ensureContextRate();
 
     // If spectrogram not ready we still must allow audio playback, but visual overlays remain disabled until ready.
     if (axisReady) resizeOverlayToSpectrogram();
@@ -438,17 +757,20 @@
       source = null;
     }
 
-    source = audioCtx.createBufferSource();
-    source.buffer = globalThis._spectroAudioBuffer;
-    source.connect(audioCtx.destination);
+    source = createSource();
+    source.connect(playbackOutput());
 
+    // startOffset is on the axis; the source takes its offset in buffer seconds
     const startOffset = Math.max(0, pausedAt);
+    if (source.prepare) {
+      try { await source.prepare(axisToBufferSec(startOffset)); } catch (e) { console.error('streamed playback read failed', e); }
+    }
     try {
-      source.start(0, startOffset);
+      source.start(0, axisToBufferSec(startOffset));
     } catch (e) {
-      const safeOffset = Math.min(Math.max(0, startOffset), Math.max(0, source.buffer.duration || 0));
+      const safeOffset = Math.min(axisToBufferSec(startOffset), Math.max(0, source.buffer.duration || 0));
       source.start(0, safeOffset);
-      playbackMeta = { startupContextTime: audioCtx.currentTime, startOffset: safeOffset, method: 'currentTime' };
+      playbackMeta = { startupContextTime: audioCtx.currentTime, startOffset: bufferToAxisSec(safeOffset), method: 'currentTime' };
     }
 
     startedAt = audioCtx.currentTime;
@@ -498,6 +820,7 @@
       await pauseNow();
       return;
     }
+    clearRange();
     // Only resize/draw if axis is ready
     if (axisReady) resizeOverlayToSpectrogram();
     const s = spectro();
@@ -584,6 +907,7 @@
 
       // Do NOT change scrollLeft. Just position playhead at the clicked screen position.
       pausedAt = commitTime;
+      clearRange();
 
       // Update visuals: compute screenX relative to current scrollLeft
       const s = spectro();
@@ -624,6 +948,7 @@
       if (commit) {
         const commitTime = quantizeToSample(previewTime);
         pausedAt = commitTime;
+        clearRange();
         // if playing, restart audio at pausedAt
         if (isPlaying) {
           if (source) {
@@ -671,6 +996,15 @@
     });
   });
 
+  // zoom and band changes alter px/s without necessarily scrolling
+  window.addEventListener('spectrogram-generated', () => {
+    if (!axisReady) return;
+    resizeOverlayToSpectrogram();
+    paintOverlay();
+    renderXAxisTicks();
+    drawTimeFooter((scrollArea.scrollLeft || 0) / Math.max(1, spectro().pxPerSec || 1));
+  });
+
   // API
   globalThis._playbackScrollJump = {
     start: async () => { if (!isPlaying) await startPlayback(); },
@@ -687,9 +1021,71 @@
       }
       reachedEOF = false;
     },
-    status: () => ({ playing: isPlaying, pausedAt, playbackMeta, audioState: audioCtx ? audioCtx.state : 'none' })
+    // play [t0, t1] (axis seconds) and stop; band = { lo, hi } Hz limits what is heard to that band
+    playRange: async (t0, t1, band) => {
+      const s = spectro();
+      if (!s.duration || !(t1 > t0)) return;
+      if (isPlaying || startInProgress) await pauseNow();
+      pausedAt = quantizeToSample(clamp(t0, 0, s.duration));
+      playRangeEnd = clamp(t1, pausedAt, s.duration);
+      playRangeBand = (band && band.hi > band.lo) ? { lo: Math.max(0, band.lo), hi: band.hi } : null;
+      // bring the start into view when it is off screen
+      const x = pausedAt * (s.pxPerSec || 1), left = scrollArea.scrollLeft || 0;
+      if (x < left || x > left + scrollArea.clientWidth) scrollArea.scrollLeft = Math.max(0, Math.round(x - scrollArea.clientWidth * 0.1));
+      await startPlayback();
+    },
+    setCarrier: (hz) => setCarrier(hz),
+    status: () => ({ playing: isPlaying, pausedAt, playbackMeta, speed: playSpeed, keepPitch, heterodyne: heterodyne ? { carrierHz: carrierHz() } : null, range: playRangeEnd != null ? { end: playRangeEnd, band: playRangeBand } : null, audioState: audioCtx ? audioCtx.state : 'none' })
   };
 
+  // a new speed takes effect at once: restart from the position reached at the old one
+  async function restartAtCurrentPosition() {
+    if (!isPlaying) return;
+    await pauseNow();
+    await startPlayback();
+  }
+  speedSelect.addEventListener('change', restartAtCurrentPosition);
+  keepPitchInput.addEventListener('change', () => { if (playSpeed !== 1) restartAtCurrentPosition(); });
+
+  // heterodyne: retuning is immediate; switching it on or off rebuilds the output at the current position
+  function retune() {
+    if (hetNodes && audioCtx) hetNodes.osc.frequency.setTargetAtTime(Math.min(toOutputHz(carrierHz()), audioCtx.sampleRate / 2), audioCtx.currentTime, 0.01);
+    paintOverlay();
+  }
+  function setCarrier(hz) {
+    if (!(hz > 0)) return;
+    hetFreqInput.value = String(Math.round(hz / 100) / 10);
+    retune();
+  }
+  // axis Hz under clientY on the spectrogram image, or null outside it
+  function clientYToHz(clientY) {
+    const r = overlay.getBoundingClientRect();
+    const frac = 1 - (clientY - r.top) / Math.max(1, r.height - 1);
+    if (!(frac >= 0 && frac <= 1)) return null;
+    const fmap = globalThis._spectroFreqMap;
+    return fmap ? fmap.fracToHz(frac) : frac * sampleRate() / 2;
+  }
+  hetFreqInput.addEventListener('input', retune);
+  hetInput.addEventListener('change', () => { paintOverlay(); restartAtCurrentPosition(); });
+  // capture phase so an Alt+click tunes instead of starting an annotation box
+  window.addEventListener('pointerdown', (ev) => {
+    if (!hetInput.checked || !ev.altKey || ev.button !== 0) return;
+    const r = scrollArea.getBoundingClientRect();
+    if (ev.clientX < r.left || ev.clientX >= r.right) return;
+    const hz = clientYToHz(ev.clientY);
+    if (hz == null) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    setCarrier(hz);
+  }, { capture: true, passive: false });
+  if (axisCanvas) {
+    axisCanvas.addEventListener('click', (ev) => {
+      if (!hetInput.checked) return;
+      const hz = clientYToHz(ev.clientY);
+      if (hz != null) setCarrier(hz);
+    });
+  }
+
   // Called when spectrogram generator finishes and spectro() becomes ready.
   function onSpectrogramReady() {
     if (axisReady) return;
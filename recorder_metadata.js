@@ -0,0 +1,202 @@
+// recorder_metadata.js
+// Reads the metadata recorders embed in WAV files, for prefilling the metadata form (metadata.js).
+// Only the RIFF chunk headers and the few chunks of interest are sliced out of the File, so this is
+// cheap even for multi-gigabyte recordings; metadata written after the data chunk (GUANO, wamd) is found too.
+// Understood: GUANO ('guan'), Wildlife Acoustics ('wamd'), iXML ('iXML'), BWF ('bext') and LIST/INFO
+// (the AudioMoth "Recorded at ... by AudioMoth ..." comment, or just the artist field).
+// read(file) resolves to { values: { latitude, longitude, datetime, recorder, microphone }, sources: { field: label } }
+// where datetime is an ISO string and each present field names the chunk it came from; fields absent from
+// every chunk are left out. Non-WAV or unreadable files give empty values.
+
+(function () {
+  const MAX_CHUNKS = 256;
+  const MAX_CHUNK_BYTES = 1024 * 1024;   // metadata chunks larger than this are skipped
+  const WANTED = ['guan', 'wamd', 'iXML', 'bext', 'LIST'];
+  const FIELDS = ['latitude', 'longitude', 'datetime', 'recorder', 'microphone'];
+
+  function fourCC(view, off) {
+    return String.fromCharCode(view.getUint8(off), view.getUint8(off + 1), view.getUint8(off + 2), view.getUint8(off + 3));
+  }
+  function readUint64(view, off) {
+    return view.getUint32(off, true) + view.getUint32(off + 4, true) * 4294967296;
+  }
+  async function sliceView(file, from, to) {
+    return new DataView(await file.slice(from, to).arrayBuffer());
+  }
+
+  // text with NUL padding and surrounding whitespace removed ('latin1' for the fixed-width ASCII fields)
+  function text(view, off, len, encoding) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + off, Math.max(0, Math.min(len, view.byteLength - off)));
+    return new TextDecoder(encoding || 'utf-8').decode(bytes).replace(/\0[\s\S]*$/, '').trim();
+  }
+
+  // walk the chunk list of file; { id: DataView of the body } for the wanted chunks (LIST only when INFO)
+  async function readChunks(file) {
+    if (!file || file.size < 12) return {};
+    const head = await sliceView(file, 0, 12);
+    const riff = fourCC(head, 0);
+    if ((riff !== 'RIFF' && riff !== 'RF64') || fourCC(head, 8) !== 'WAVE') return {};
+    const found = {};
+    let ds64DataSize = null;
+    let off = 12;
+    for (let n = 0; n < MAX_CHUNKS && off + 8 <= file.size; n++) {
+      const h = await sliceView(file, off, off + 8);
+      const id = fourCC(h, 0);
+      let size = h.getUint32(4, true);
+      const body = off + 8;
+      if (id === 'ds64' && size >= 16) ds64DataSize = readUint64(await sliceView(file, body, body + 16), 8);
+      if (id === 'data' && riff === 'RF64' && size === 0xFFFFFFFF && ds64DataSize != null) size = ds64DataSize;
+      if (size === 0xFFFFFFFF) break;
+      if (WANTED.indexOf(id) >= 0 && !found[id] && size <= MAX_CHUNK_BYTES && body + size <= file.size) {
+        const view = await sliceView(file, body, body + size);
+        if (id !== 'LIST' || (size >= 4 && fourCC(view, 0) === 'INFO')) found[id] = view;
+      }
+      off = body + size + (size & 1);
+    }
+    return found;
+  }
+
+  // --- value helpers ---
+  function coord(v, limit) {
+    const x = Number(v);
+    return (isFinite(x) && Math.abs(x) <= limit) ? String(Math.round(x * 1e6) / 1e6) : null;
+  }
+  function isoOrNull(d) { return (d instanceof Date && !isNaN(d)) ? d.toISOString() : null; }
+  // ISO 8601 / "yyyy-mm-dd hh:mm:ss[offset]"; without an offset the time is taken as local
+  function parseTimestamp(s) {
+    if (!s) return null;
+    const m = String(s).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!m) return null;
+    const [, y, mo, d, h, mi, sec, frac, tz] = m;
+    if (!tz) return isoOrNull(new Date(+y, +mo - 1, +d, +h, +mi, +(sec || 0), Math.round(Number(frac || 0) * 1000)));
+    return isoOrNull(new Date(`${y}-${mo}-${d}T${h}:${mi}:${sec || '00'}${frac || ''}${tz.toUpperCase() === 'Z' ? 'Z' : tz.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`));
+  }
+  // local date + time from separate fields with any separators ("2021-05-22" / "2021:05:22", "19:33:00" / "19-33-00")
+  function parseDateTimeFields(date, time) {
+    const dm = String(date || '').match(/(\d{4})\D(\d{2})\D(\d{2})/);
+    if (!dm) return null;
+    const tm = String(time || '').match(/(\d{2})\D(\d{2})\D(\d{2})/) || [null, 0, 0, 0];
+    return isoOrNull(new Date(+dm[1], +dm[2] - 1, +dm[3], +tm[1], +tm[2], +tm[3]));
+  }
+  function joinNonEmpty(parts) {
+    const s = parts.filter(p => p && String(p).trim()).join(' ').trim();
+    return s || null;
+  }
+
+  // --- GUANO: "Key: Value" lines, namespaced keys use "|" ---
+  function parseGuano(view) {
+    const kv = {};
+    text(view, 0, view.byteLength).split(/\r?\n/).forEach(line => {
+      const i = line.indexOf(':');
+      if (i > 0) kv[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    });
+    const out = {};
+    const pos = (kv['Loc Position'] || '').split(/[\s,]+/).filter(Boolean);
+    if (pos.length >= 2) { out.latitude = coord(pos[0], 90); out.longitude = coord(pos[1], 180); }
+    out.datetime = parseTimestamp(kv['Timestamp']);
+    out.recorder = joinNonEmpty([kv['Make'], kv['Model']]);
+    const micKey = Object.keys(kv).find(k => /^mic(rophone)?\b/i.test(k.split('|').pop()));
+    out.microphone = micKey ? kv[micKey] || null : null;
+    return out;
+  }
+
+  // --- Wildlife Acoustics 'wamd': (uint16 id, uint32 size, value) records ---
+  const WAMD_MODEL = 0x01, WAMD_TIMESTAMP = 0x05, WAMD_GPS_FIRST = 0x06, WAMD_MICROPHONE = 0x12;
+  function parseWamd(view) {
+    const rec = {};
+    let off = 0;
+    while (off + 6 <= view.byteLength) {
+      const id = view.getUint16(off, true);
+      const size = view.getUint32(off + 2, true);
+      off += 6;
+      if (off + size > view.byteLength) break;
+      if (id !== 0) rec[id] = text(view, off, size);
+      off += size;
+    }
+    const out = {};
+    // "WGS84, 41.57823, N, 88.16362, W, 205"
+    const gps = (rec[WAMD_GPS_FIRST] || '').split(',').map(s => s.trim());
+    if (gps.length >= 5) {
+      const lat = Number(gps[1]) * (/^s/i.test(gps[2]) ? -1 : 1);
+      const lon = Number(gps[3]) * (/^w/i.test(gps[4]) ? -1 : 1);
+      out.latitude = coord(lat, 90); out.longitude = coord(lon, 180);
+    }
+    out.datetime = parseTimestamp(rec[WAMD_TIMESTAMP]);
+    out.recorder = rec[WAMD_MODEL] ? joinNonEmpty(['Wildlife Acoustics', rec[WAMD_MODEL]]) : null;
+    out.microphone = rec[WAMD_MICROPHONE] || null;
+    return out;
+  }
+
+  // --- iXML: plain XML, only a handful of leaf elements are needed ---
+  function xmlTag(xml, name) {
+    const m = xml.match(new RegExp('<' + name + '>([^<]*)</' + name + '>', 'i'));
+    return m ? m[1].trim() : '';
+  }
+  function parseIxml(view) {
+    const xml = text(view, 0, view.byteLength);
+    const out = {};
+    const gps = xmlTag(xml, 'LOCATION_GPS').split(/[\s,]+/).filter(Boolean);
+    if (gps.length >= 2) { out.latitude = coord(gps[0], 90); out.longitude = coord(gps[1], 180); }
+    out.datetime = parseDateTimeFields(xmlTag(xml, 'BWF_ORIGINATION_DATE'), xmlTag(xml, 'BWF_ORIGINATION_TIME'));
+    out.recorder = xmlTag(xml, 'BWF_ORIGINATOR') || null;
+    return out;
+  }
+
+  // --- BWF bext: Description[256] Originator[32] OriginatorReference[32] OriginationDate[10] OriginationTime[8] ---
+  function parseBext(view) {
+    if (view.byteLength < 338) return {};
+    return {
+      datetime: parseDateTimeFields(text(view, 320, 10, 'latin1'), text(view, 330, 8, 'latin1')),
+      recorder: text(view, 256, 32, 'latin1') || null
+    };
+  }
+
+  // --- LIST/INFO: "Recorded at 19:33:00 22/05/2021 (UTC+1) by AudioMoth 24F3190360D8F0E5 at medium gain ..." ---
+  function parseInfo(view) {
+    const fields = {};
+    let off = 4;
+    while (off + 8 <= view.byteLength) {
+      const id = fourCC(view, off);
+      const size = view.getUint32(off + 4, true);
+      fields[id] = text(view, off + 8, size, 'latin1');
+      off += 8 + size + (size & 1);
+    }
+    const out = { recorder: fields.IART || null };
+    const m = (fields.ICMT || '').match(/Recorded at (\d{2}):(\d{2}):(\d{2}) (\d{2})\/(\d{2})\/(\d{4}) \(UTC(?:([+-])(\d{1,2})(?::(\d{2}))?)?\) by (AudioMoth(?: [0-9A-F]+)?)/i);
+    if (m) {
+      const [, h, mi, s, d, mo, y, sign, oh, om, device] = m;
+      const offsetMin = sign ? (sign === '-' ? -1 : 1) * (Number(oh) * 60 + Number(om || 0)) : 0;
+      out.datetime = isoOrNull(new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s) - offsetMin * 60000));
+      out.recorder = device;
+      out.audioMoth = true;
+    }
+    return out;
+  }
+
+  // richest source first: the first chunk that has a field provides it
+  const PARSERS = [
+    { id: 'guan', label: 'GUANO', parse: parseGuano },
+    { id: 'wamd', label: 'Wildlife Acoustics', parse: parseWamd },
+    { id: 'iXML', label: 'iXML', parse: parseIxml },
+    { id: 'bext', label: 'BWF bext', parse: parseBext },
+    { id: 'LIST', label: 'RIFF INFO', parse: parseInfo }
+  ];
+
+  async function read(file) {
+    const values = {}, sources = {};
+    let chunks = {};
+    try { chunks = await readChunks(file); } catch (e) { console.warn('embedded metadata could not be read', e); }
+    PARSERS.forEach(p => {
+      if (!chunks[p.id]) return;
+      let parsed = {};
+      try { parsed = p.parse(chunks[p.id]); } catch (e) { console.warn('bad ' + p.label + ' metadata', e); return; }
+      const label = parsed.audioMoth ? 'AudioMoth comment' : p.label;
+      FIELDS.forEach(f => {
+        if (values[f] == null && parsed[f] != null && parsed[f] !== '') { values[f] = parsed[f]; sources[f] = label; }
+      });
+    });
+    return { values, sources };
+  }
+
+  globalThis._recorderMetadata = { read, parseTimestamp };
+})();
@@ -10,6 +10,8 @@
 //  - Contributors output as comma-separated list: "name1, name2, name3"
 //  - Alias/internal annotation keys are not appended as extra columns
 //  - Begin Time (s), End Time (s), Low Freq (Hz), High Freq (Hz) rounded to 4 decimals
+//  - Channel is the annotation's recorded channel (1-based), "mix" for boxes drawn on the averaged channels,
+//    1 when it has none
 // Values otherwise kept raw; objects/arrays are JSON-stringified.
 
 (function () {
@@ -184,6 +186,7 @@
     'endTime', 'end_time', 'end',
     'lowFreq', 'low_freq', 'low',
     'highFreq', 'high_freq', 'high',
+    'channel',
     'species',
     'notes', 'note',
     // Also skip exact required column names if present
@@ -213,7 +216,7 @@
     annotations.forEach((a, idx) => {
       const sel = String(idx + 1);
       const view = '1';
-      const channel = '1';
+      const channel = (a && a.channel === 'mix') ? 'mix' : (a && Number(a.channel) >= 1) ? String(Math.round(Number(a.channel))) : '1';
 
       // Map common fields to required columns and round to 4 decimals where requested
       const beginRaw = (a && Object.prototype.hasOwnProperty.call(a, 'beginTime')) ? a.beginTime :
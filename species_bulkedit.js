@@ -257,6 +257,7 @@
         return a;
       });
       replaceAnnotations(updated);
+      try { window.dispatchEvent(new CustomEvent('annotations-changed', { detail: { reason: 'species', ids: Array.from(selectedIds) } })); } catch (e) {}
     } catch (e) {
       console.error('bulk apply failed', e);
     } finally {
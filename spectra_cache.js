@@ -0,0 +1,139 @@
+// spectra_cache.js
+// IndexedDB cache of computed spectra so reopening a recording skips the FFT pass.
+// Records are keyed by file identity (name|size|lastModified) plus the analysis settings that shape
+// the spectra (FFT size, overlap, window, channel, pre-FFT filter) and hold the frame-major magnitudes together with
+// the generation parameters. A small 'lru' store (key, bytes, lastUsed) tracks use without loading
+// the magnitudes; after each put the least recently used records are evicted until the total is
+// back under CACHE_MAX_BYTES.
+// Every call resolves (null / false on failure), so a missing or full IndexedDB only costs the cache.
+
+(function () {
+  const DB_NAME = 'spectrogram-cache';
+  const DB_VERSION = 1;
+  const RECORDS = 'records';
+  const LRU = 'lru';
+  const CACHE_MAX_BYTES = 1024 * 1024 * 1024;       // total magnitudes kept across recordings
+  const RECORD_MAX_BYTES = CACHE_MAX_BYTES / 2;     // larger analyses are not cached at all
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      let req;
+      try { req = indexedDB.open(DB_NAME, DB_VERSION); } catch (e) { resolve(null); return; }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(RECORDS)) db.createObjectStore(RECORDS, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(LRU)) db.createObjectStore(LRU, { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { console.warn('spectra cache unavailable', req.error); resolve(null); };
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  function reqPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function txDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // analysis.filter: string describing the pre-FFT filter, or null/absent for unfiltered spectra
+  function cacheKey(fileId, analysis) {
+    const parts = [fileId, analysis.fftSize, analysis.overlap, analysis.window, analysis.channel];
+    if (analysis.filter) parts.push(analysis.filter);
+    return parts.join('|');
+  }
+
+  // the cached record ({ key, spectra: Float32Array, ...generation parameters }) or null
+  async function get(key) {
+    const db = await openDb();
+    if (!db) return null;
+    try {
+      const tx = db.transaction([RECORDS, LRU], 'readwrite');
+      const record = await reqPromise(tx.objectStore(RECORDS).get(key));
+      if (record) tx.objectStore(LRU).put({ key, bytes: record.spectra.byteLength, lastUsed: Date.now() });
+      await txDone(tx);
+      return record || null;
+    } catch (e) {
+      console.warn('spectra cache read failed', e);
+      return null;
+    }
+  }
+
+  // store record (record.spectra a Float32Array), then evict down to the size limit
+  async function put(record) {
+    const db = await openDb();
+    if (!db || !record || !record.key || !record.spectra) return false;
+    const bytes = record.spectra.byteLength;
+    if (bytes > RECORD_MAX_BYTES) return false;
+    try {
+      const tx = db.transaction([RECORDS, LRU], 'readwrite');
+      tx.objectStore(RECORDS).put(record);
+      tx.objectStore(LRU).put({ key: record.key, bytes, lastUsed: Date.now() });
+      await txDone(tx);
+      await evict(db, record.key);
+      return true;
+    } catch (e) {
+      console.warn('spectra cache write failed', e);
+      return false;
+    }
+  }
+
+  // drop least recently used records (never keepKey) until the total fits CACHE_MAX_BYTES
+  async function evict(db, keepKey) {
+    const entries = await reqPromise(db.transaction(LRU, 'readonly').objectStore(LRU).getAll());
+    let total = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+    if (total <= CACHE_MAX_BYTES) return;
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    const tx = db.transaction([RECORDS, LRU], 'readwrite');
+    for (const e of entries) {
+      if (total <= CACHE_MAX_BYTES) break;
+      if (e.key === keepKey) continue;
+      tx.objectStore(RECORDS).delete(e.key);
+      tx.objectStore(LRU).delete(e.key);
+      total -= e.bytes || 0;
+    }
+    await txDone(tx);
+  }
+
+  async function clear() {
+    const db = await openDb();
+    if (!db) return false;
+    try {
+      const tx = db.transaction([RECORDS, LRU], 'readwrite');
+      tx.objectStore(RECORDS).clear();
+      tx.objectStore(LRU).clear();
+      await txDone(tx);
+      return true;
+    } catch (e) {
+      console.warn('spectra cache clear failed', e);
+      return false;
+    }
+  }
+
+  // { count, bytes, limit } for display/debugging
+  async function stats() {
+    const db = await openDb();
+    if (!db) return { count: 0, bytes: 0, limit: CACHE_MAX_BYTES };
+    try {
+      const entries = await reqPromise(db.transaction(LRU, 'readonly').objectStore(LRU).getAll());
+      return { count: entries.length, bytes: entries.reduce((sum, e) => sum + (e.bytes || 0), 0), limit: CACHE_MAX_BYTES };
+    } catch (e) {
+      return { count: 0, bytes: 0, limit: CACHE_MAX_BYTES };
+    }
+  }
+
+  globalThis._spectraCache = { cacheKey, get, put, clear, stats };
+})();
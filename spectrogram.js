@@ -6,38 +6,53 @@
 // This version: moved wait-overlay control into this file, installs listeners immediately,
 // dispatches completion event and hides overlay deterministically when visible content is ready,
 // and includes a shorter poll fallback.
+// The STFT and dB-to-pixel tile painting run in spectrogram_worker.js; this file decodes, posts jobs
+// and only receives finished spectra and tile bitmaps, so the page stays responsive during Generate.
+// The spectra of a decoded recording exist once: this file owns them and lends them to each worker job
+// that paints from them (transferred there and back, see lendSpectra).
+// Uncompressed WAV files above STREAM_MIN_BYTES are streamed: read in slices, analysed chunk by chunk
+// near the viewport and evicted again, with playback reading the file through _spectroAudioSource.
+// The canvas itself is only viewport-wide; visible tiles are blitted into it on scroll (see the
+// virtualized view section), so very wide images never hit browser canvas size limits.
+// Tiles hold one column per STFT frame; the view zoom (Ctrl+wheel / pinch, the X zoom select) only
+// rescales them when blitting, and a frequency zoom crops them until the band is repainted.
+// A time-expansion factor N recorded into the file (bat detectors writing 10x WAVs) is undone by analysing
+// at N times the file's rate, so every time and frequency derived from _spectroSampleRate is real-world.
 
 (function(){
-  function hannWindow(N){ const w=new Float32Array(N); for(let n=0;n<N;n++) w[n]=0.5*(1-Math.cos(2*Math.PI*n/(N-1))); return w; }
-  function log10(x){ return Math.log(x)/Math.LN10; }
-  function reverseBits(x,bits){ let y=0; for(let i=0;i<bits;i++){ y=(y<<1)|(x&1); x>>>=1; } return y; }
-  function fft(real, imag){
-    const n = real.length; const levels = Math.log2(n)|0; if((1<<levels)!==n) throw new Error('FFT must be power of two');
-    for(let i=0;i<n;i++){ const j=reverseBits(i,levels); if(j>i){ const tr=real[i], ti=imag[i]; real[i]=real[j]; imag[i]=imag[j]; real[j]=tr; imag[j]=ti; } }
-    for(let size=2; size<=n; size<<=1){
-      const half = size>>>1; const theta = -2*Math.PI/size; const wpr=Math.cos(theta), wpi=Math.sin(theta);
-      for(let i=0;i<n;i+=size){
-        let wr=1, wi=0;
-        for(let j=0;j<half;j++){
-          const k=i+j, l=k+half;
-          const tr = wr*real[l] - wi*imag[l];
-          const ti = wr*imag[l] + wi*real[l];
-          real[l] = real[k] - tr; imag[l] = imag[k] - ti;
-          real[k] += tr; imag[k] += ti;
-          const tmp = wr; wr = tmp*wpr - wi*wpi; wi = tmp*wpi + wi*wpr;
-        }
-      }
-    }
-  }
-
   // DOM refs
   const fileInput = document.getElementById('file');
   const goBtn = document.getElementById('go');
   const cmapSelect = document.getElementById('cmap');
   const xzoomSelect = document.getElementById('xzoom');
   const ymaxInput = document.getElementById('ymax'); // kHz
+  const yminInput = document.getElementById('ymin'); // kHz
+  const fftSizeSelect = document.getElementById('fftSize');
+  const overlapInput = document.getElementById('overlap'); // percent
+  const overlapVal = document.getElementById('overlapVal');
+  const winFnSelect = document.getElementById('winFn');
+  const fscaleSelect = document.getElementById('fscale');
+  const channelSelect = document.getElementById('channel');
+  const filterTypeSelect = document.getElementById('filterType');
+  const filterParams = document.getElementById('filterParams');
+  const filterLowInput = document.getElementById('filterLow');   // Hz (high-pass / band-pass lower edge)
+  const filterHighInput = document.getElementById('filterHigh'); // Hz (low-pass / band-pass upper edge)
+  const filterOrderSelect = document.getElementById('filterOrder');
+  const teFactorInput = document.getElementById('teFactor');
+  const teModeSelect = document.getElementById('teMode');
   const gainInput = document.getElementById('gain');
   const gainVal = document.getElementById('gainVal');
+  const dbFloorInput = document.getElementById('dbFloor'); // dB below the peak
+  const dbFloorVal = document.getElementById('dbFloorVal');
+  const dbCeilInput = document.getElementById('dbCeil');
+  const dbCeilVal = document.getElementById('dbCeilVal');
+  const displayModeSelect = document.getElementById('displayMode');
+  const noiseFromSelBtn = document.getElementById('noiseFromSel');
+  const pcenParams = document.getElementById('pcenParams');
+  const pcenTInput = document.getElementById('pcenT');         // smoothing time constant (s)
+  const pcenAlphaInput = document.getElementById('pcenAlpha'); // gain normalization exponent
+  const pcenDeltaInput = document.getElementById('pcenDelta'); // bias
+  const pcenRInput = document.getElementById('pcenR');         // root compression power
   const axisCanvas = document.getElementById('axisCanvas');
   const axisCtx = axisCanvas && axisCanvas.getContext ? axisCanvas.getContext('2d', { alpha:false }) : null;
   const scrollArea = document.getElementById('scrollArea') || document.body;
@@ -50,18 +65,36 @@
   const VIEWPORT_H = (axisCanvas && axisCanvas.height) ? axisCanvas.height : 240;
   const IMAGE_H = VIEWPORT_H - AXIS_TOP - AXIS_BOTTOM;
   const DEFAULT_FFT_SIZE = 2048;
+  const MIN_FFT_SIZE = 256;
+  const MAX_FFT_SIZE = 16384;
+  const DEFAULT_OVERLAP = 50; // percent
+  const DEFAULT_FLOOR_DB = -80;
+  const PCEN_INPUT_SCALE = 2147483648; // PCEN's usual parameters assume |STFT| of integer-scaled (2^31) audio
+  const PCEN_FULL_SCALE = 10;          // PCEN output mapped to the top of the colormap
+  const WINDOWS = ['hann', 'hamming', 'blackmanharris', 'gaussian', 'kaiser'];
+  const FREQ_SCALES = ['linear', 'log', 'mel'];
+  const FILTER_TYPES = ['highpass', 'lowpass', 'bandpass'];
+  const FILTER_ORDERS = [2, 4, 6, 8];
+  const FILTER_SETTLE_CYCLES = 10;   // streamed chunks are read this many periods of the lowest cut-off early
+  const FILTER_MAX_PREROLL_SEC = 2;
+  const TE_MODES = ['file', 'playback'];
+  const TE_MAX_FACTOR = 100;
 
   // Global state (sane defaults)
-  globalThis._spectroLastGen = globalThis._spectroLastGen || { fileId:null, pxpf:null, sampleRate:null, numFrames:null, fftSize:null, ymax:null };
+  globalThis._spectroLastGen = globalThis._spectroLastGen || { fileId:null, sampleRate:null, numFrames:null, fftSize:null, overlap:null, window:null, channel:null, filter:null, rateScale:null, ymax:null, ymin:null };
   globalThis._spectroTiles = globalThis._spectroTiles || null;
   globalThis._spectroSpectra = globalThis._spectroSpectra || null;
   globalThis._spectroSampleRate = globalThis._spectroSampleRate || 44100;
   globalThis._spectroNumFrames = globalThis._spectroNumFrames || 0;
-  globalThis._spectroPxPerFrame = globalThis._spectroPxPerFrame || 2;
+  globalThis._spectroPxPerFrame = globalThis._spectroPxPerFrame || 2; // view zoom: CSS px per STFT frame
   globalThis._spectroFramesPerSec = globalThis._spectroFramesPerSec || (globalThis._spectroSampleRate / (DEFAULT_FFT_SIZE/2));
   globalThis._spectroImageWidth = globalThis._spectroImageWidth || 800;
   globalThis._spectroImageHeight = globalThis._spectroImageHeight || IMAGE_H;
   globalThis._spectroYMax = globalThis._spectroYMax || (globalThis._spectroSampleRate/2);
+  globalThis._spectroYMin = globalThis._spectroYMin || 0;
+  globalThis._spectroChannel = globalThis._spectroChannel || 0; // 1-based channel shown, 0 = mix of all channels
+  globalThis._spectroChannelCount = globalThis._spectroChannelCount || 1;
+  globalThis._spectroFreqScale = globalThis._spectroFreqScale || 'linear';
   globalThis._spectroAxisLeft = (axisCanvas && typeof axisCanvas.clientWidth === 'number') ? Math.round(axisCanvas.clientWidth) : 70;
 
   // mapping helpers (single authoritative mapping)
@@ -74,6 +107,52 @@
   function secToPx(sec) { return Math.round(sec * Math.max(1, effectivePxPerSec())); }
   globalThis._spectroMap = { pxToSec, secToPx, pxPerSec: () => effectivePxPerSec() };
 
+  // frequency scale: fraction of the image height measured from the bottom (0..1) <-> Hz.
+  // Annotations always store true Hz; only this mapping changes with the linear/log/mel selector.
+  function melOf(hz) { return 2595 * Math.log10(1 + hz / 700); }
+  function hzOfMel(m) { return 700 * (Math.pow(10, m / 2595) - 1); }
+  function makeFreqMap(scale, loHz, hiHz) {
+    if (scale === 'log') {
+      // log cannot reach 0 Hz; start at one FFT bin
+      const binHz = (globalThis._spectroSampleRate || 44100) / (globalThis._spectroFFTSize || DEFAULT_FFT_SIZE);
+      const lo = Math.max(loHz, binHz, 1);
+      const hi = Math.max(hiHz, lo * 1.0001);
+      const span = Math.log(hi / lo);
+      return {
+        lo, hi,
+        hzToFrac: (hz) => (hz <= lo) ? 0 : Math.log(hz / lo) / span,
+        fracToHz: (f) => lo * Math.exp(f * span)
+      };
+    }
+    if (scale === 'mel') {
+      const mLo = melOf(loHz), mHi = melOf(hiHz);
+      const span = (mHi - mLo) || 1e-9;
+      return {
+        lo: loHz, hi: hiHz,
+        hzToFrac: (hz) => (melOf(Math.max(0, hz)) - mLo) / span,
+        fracToHz: (f) => hzOfMel(mLo + f * span)
+      };
+    }
+    const span = (hiHz - loHz) || 1e-9;
+    return { lo: loHz, hi: hiHz, hzToFrac: (hz) => (hz - loHz) / span, fracToHz: (f) => loHz + f * span };
+  }
+  function currentFreqMap() {
+    const hi = globalThis._spectroYMax || ((globalThis._spectroSampleRate || 44100) / 2);
+    return makeFreqMap(globalThis._spectroFreqScale, globalThis._spectroYMin || 0, hi);
+  }
+  globalThis._spectroFreqMap = {
+    scale: () => globalThis._spectroFreqScale || 'linear',
+    hzToFrac: (hz) => currentFreqMap().hzToFrac(hz),
+    fracToHz: (f) => currentFreqMap().fracToHz(f)
+  };
+  function readFreqScale() { return (fscaleSelect && FREQ_SCALES.indexOf(fscaleSelect.value) >= 0) ? fscaleSelect.value : 'linear'; }
+  // Hz at the centre of each image row (top row = highest), sent to the worker as its row map
+  function buildRowHz(map, imageH) {
+    const rowHz = new Float32Array(imageH);
+    for (let y = 0; y < imageH; y++) rowHz[y] = map.fracToHz(1 - y / Math.max(1, imageH - 1));
+    return rowHz;
+  }
+
   // --- wait-overlay control moved into spectrogram.js (index.html keeps markup & styles) ---
   (function () {
     function _els() {
@@ -117,6 +196,19 @@
   function updateGainLabel(){ if (gainVal) gainVal.textContent = parseFloat(gainInput.value).toFixed(1) + '×'; }
   if (gainInput) { gainInput.addEventListener('input', updateGainLabel); updateGainLabel(); }
 
+  // dB floor/ceiling labels (both relative to the loudest bin of the analysis)
+  function updateLevelLabels(){
+    if (dbFloorVal && dbFloorInput) dbFloorVal.textContent = Math.round(Number(dbFloorInput.value)) + ' dB';
+    if (dbCeilVal && dbCeilInput) dbCeilVal.textContent = Math.round(Number(dbCeilInput.value)) + ' dB';
+  }
+  if (dbFloorInput) dbFloorInput.addEventListener('input', updateLevelLabels);
+  if (dbCeilInput) dbCeilInput.addEventListener('input', updateLevelLabels);
+  updateLevelLabels();
+
+  // overlap label
+  function updateOverlapLabel(){ if (overlapVal && overlapInput) overlapVal.textContent = Math.round(Number(overlapInput.value) || DEFAULT_OVERLAP) + '%'; }
+  if (overlapInput) { overlapInput.addEventListener('input', updateOverlapLabel); updateOverlapLabel(); }
+
   // debounce helper
   function debounce(fn, wait){
     let id = 0;
@@ -135,7 +227,7 @@
     if (scrollArea && typeof scrollArea.scrollLeft === 'number') scrollArea.scrollLeft = clamped;
     return clamped;
   }
-  function alignCanvasLeft() { if (canvas && canvas.style) { canvas.style.left = '0px'; canvas.style.transform = ''; } }
+  function alignCanvasLeft() { if (canvas && canvas.style) { canvas.style.left = '0px'; if (virtualView) positionViewCanvas(); else canvas.style.transform = ''; } }
 
   // read user Y max (kHz -> Hz)
   function readUserYmaxHz() {
@@ -147,6 +239,83 @@
     return v * 1000;
   }
 
+  // read user Y min (kHz -> Hz); empty means 0 Hz
+  function readUserYminHz() {
+    if (!yminInput) return 0;
+    const v = Number(yminInput.value);
+    return (isFinite(v) && v > 0) ? v * 1000 : 0;
+  }
+
+  // read the analysis panel (FFT size, overlap %, window, channel); out-of-range values fall back to defaults
+  function readAnalysisSettings() {
+    let fftSize = parseInt(fftSizeSelect && fftSizeSelect.value, 10);
+    if (!(fftSize >= MIN_FFT_SIZE && fftSize <= MAX_FFT_SIZE) || (fftSize & (fftSize - 1)) !== 0) fftSize = DEFAULT_FFT_SIZE;
+    let overlap = Number(overlapInput && overlapInput.value);
+    overlap = isFinite(overlap) ? Math.max(50, Math.min(95, overlap)) : DEFAULT_OVERLAP;
+    const win = winFnSelect && WINDOWS.indexOf(winFnSelect.value) >= 0 ? winFnSelect.value : 'hann';
+    const ch = parseInt(channelSelect && channelSelect.value, 10);
+    const channel = (ch >= 1) ? ch : 'mix';
+    return { fftSize, overlap, window: win, channel, filter: readFilterSettings(), timeExpansion: readTimeExpansion() };
+  }
+
+  // time expansion: { factor, mode }; factor 1 is off. 'file': the recording is already expanded, so axes are
+  // scaled back to real time and frequency and it plays at the file's rate. 'playback': a real-time recording
+  // whose axes stay as they are and which playback.js slows down by the factor.
+  function readTimeExpansion() {
+    const v = Number(teFactorInput && teFactorInput.value);
+    const factor = (isFinite(v) && v >= 1) ? Math.min(TE_MAX_FACTOR, v) : 1;
+    const mode = teModeSelect && TE_MODES.indexOf(teModeSelect.value) >= 0 ? teModeSelect.value : 'file';
+    return { factor, mode };
+  }
+  // analysis rate = file rate x this
+  function teRateScale(te) { return (te && te.mode === 'file') ? te.factor : 1; }
+
+  // pre-FFT filter: null or { type, low, high, order } (the unused edge is null, so equal settings compare equal)
+  function readFilterSettings() {
+    const type = filterTypeSelect && FILTER_TYPES.indexOf(filterTypeSelect.value) >= 0 ? filterTypeSelect.value : null;
+    if (!type) return null;
+    const hz = (el, def) => { const v = Number(el && el.value); return (isFinite(v) && v > 0) ? v : def; };
+    let low = type === 'lowpass' ? null : hz(filterLowInput, 500);
+    let high = type === 'highpass' ? null : hz(filterHighInput, 8000);
+    if (type === 'bandpass' && high <= low) { const t = low; low = high; high = t; }
+    const order = parseInt(filterOrderSelect && filterOrderSelect.value, 10);
+    return { type, low, high, order: FILTER_ORDERS.indexOf(order) >= 0 ? order : 4 };
+  }
+  function filterKey(filter) { return filter ? [filter.type, filter.low, filter.high, filter.order].join(':') : 'none'; }
+
+  // Butterworth design as biquad sections [{ kind, freq, q }] for the worker and playback.js; a band-pass is
+  // the high-pass at low followed by the low-pass at high. Cut-offs are kept inside the file's band.
+  function filterSections(filter, sampleRate) {
+    if (!filter) return null;
+    const clampHz = (hz) => Math.max(1, Math.min(0.49 * sampleRate, hz));
+    const qs = [];
+    for (let k = 0; k < filter.order / 2; k++) qs.push(1 / (2 * Math.sin((2 * k + 1) * Math.PI / (2 * filter.order))));
+    const sections = [];
+    if (filter.low != null) qs.forEach(q => sections.push({ kind: 'highpass', freq: clampHz(filter.low), q }));
+    if (filter.high != null) qs.forEach(q => sections.push({ kind: 'lowpass', freq: clampHz(filter.high), q }));
+    return sections;
+  }
+  function updateFilterParamsVisibility() {
+    const f = readFilterSettings();
+    if (filterParams) filterParams.style.display = f ? '' : 'none';
+    if (filterLowInput) filterLowInput.style.display = (f && f.low != null) ? '' : 'none';
+    if (filterHighInput) filterHighInput.style.display = (f && f.high != null) ? '' : 'none';
+  }
+
+  // channel selector: 'Mix' plus one entry per channel of the decoded file; keeps the selection when still valid
+  function populateChannelOptions(count) {
+    if (!channelSelect) return;
+    const prev = channelSelect.value;
+    channelSelect.innerHTML = '';
+    const mix = document.createElement('option'); mix.value = 'mix'; mix.textContent = 'Mix'; channelSelect.appendChild(mix);
+    for (let c = 1; c <= count; c++) {
+      const o = document.createElement('option'); o.value = String(c); o.textContent = 'Ch ' + c; channelSelect.appendChild(o);
+    }
+    const keep = parseInt(prev, 10);
+    channelSelect.value = (keep >= 1 && keep <= count) ? String(keep) : 'mix';
+    channelSelect.disabled = count < 2;
+  }
+
   // draw X ticks into axisCanvas (axisCanvas stays fixed left column)
   function drawXTicksAxis(sampleRate, totalFrames, imgW, imgH, framesPerSec, pxpf, visibleStartSec = 0){
     if(!axisCtx) return;
@@ -178,7 +347,7 @@
       axisCtx.fillText(label, axisCanvas.clientWidth / 2, AXIS_TOP + imgH + 2);
     }
 
-    drawYAxis(sampleRate, imgH, globalThis._spectroYMax);
+    drawYAxis(sampleRate, imgH, globalThis._spectroYMax, globalThis._spectroFreqScale, globalThis._spectroYMin);
   }
 
   // compute visibleStartSec from scrollLeft and redraw ticks into axisCanvas
@@ -198,21 +367,26 @@
   if (scrollArea) {
     let id=0;
     scrollArea.addEventListener('scroll', ()=>{ if(id) clearTimeout(id); id=setTimeout(()=>{ id=0; updateXTicksFromScroll(); }, 50); });
+    // repaint the viewport-wide canvas right away; streamed files then fetch any chunks that came into view
+    scrollArea.addEventListener('scroll', ()=>{ blitVisible(); if (stream) requestVisibleChunks(); });
+    window.addEventListener('resize', ()=>{ blitVisible(); if (stream) requestVisibleChunks(); });
   }
 
   // draw Y axis (into axisCanvas)
-  function drawYAxis(sampleRate, imgH, ymax){
+  function drawYAxis(sampleRate, imgH, ymax, scale, ymin){
     if(!axisCtx) return;
     axisCtx.fillStyle='#000'; axisCtx.fillRect(0,0,axisCanvas.width, axisCanvas.height);
     axisCtx.fillStyle='#111'; axisCtx.fillRect(0, AXIS_TOP, axisCanvas.width, imgH);
     axisCtx.strokeStyle = '#666'; axisCtx.lineWidth = 1; axisCtx.fillStyle = '#fff'; axisCtx.font = '12px sans-serif';
     const nyq = sampleRate / 2;
     const topFreq = (typeof ymax === 'number' && ymax > 0) ? Math.min(nyq, ymax) : nyq;
+    const bottomFreq = Math.max(0, Math.min(topFreq - 1, Number(ymin) || 0));
+    const map = makeFreqMap(scale || globalThis._spectroFreqScale, bottomFreq, topFreq);
     const yTicks = 6;
     axisCtx.textAlign = 'right'; axisCtx.textBaseline = 'middle';
     for(let i=0;i<yTicks;i++){
       const t = i / (yTicks - 1);
-      const freq = topFreq * (1 - t);
+      const freq = map.fracToHz(1 - t);
       const yPx = AXIS_TOP + Math.round(t * imgH);
       axisCtx.beginPath(); axisCtx.moveTo(axisCanvas.width - 6, yPx + 0.5); axisCtx.lineTo(axisCanvas.width - 0, yPx + 0.5); axisCtx.stroke();
       const label = (freq >= 1000) ? (Math.round(freq/10)/100).toString() + ' kHz' : Math.round(freq) + ' Hz';
@@ -226,164 +400,835 @@
 
   function formatTime(s){ if(!isFinite(s)||s<0.001) return '0s'; if(s>=3600){ const h=Math.floor(s/3600), m=Math.floor((s%3600)/60), sec=Math.floor(s%60); return `${h}:${String(m).padStart(2,'0')}:${String(sec).padStart(2,'0')}`; } if(s>=60){ const m=Math.floor(s/60), sec=Math.floor(s%60); return `${m}:${String(sec).padStart(2,'0')}`; } return s.toFixed(0) + 's'; }
 
-  // colormap approximations
-  function colormapSwitch(t, name){ t=Math.max(0,Math.min(1,t)); switch(name){ case 'viridis': return viridisApprox(t); case 'magma': return magmaApprox(t); case 'grayscale': return grayscale(t); case 'jet': return jetApprox(t); case 'cividis': return cividisApprox(t); default: return customMap(t); } }
+  // colormaps: table maps (viridis, magma, ...) and loaded ones come from colormaps.js; these ramps are drawn here
+  function colormapSwitch(t, name){ t=Math.max(0,Math.min(1,t)); switch(name){ case 'grayscale': return grayscale(t); case 'jet': return jetApprox(t); default: return customMap(t); } }
   function customMap(t){ let r=0,g=0,b=0; if(t<0.25){ const u=t/0.25; r=0; g=Math.round(30*u); b=Math.round(80+175*u); } else if(t<0.5){ const u=(t-0.25)/0.25; r=0; g=Math.round(30+200*u); b=Math.round(255-55*u); } else if(t<0.75){ const u=(t-0.5)/0.25; r=Math.round(255*u); g=Math.round(230-100*u); b=Math.round(200-200*u); } else { const u=(t-0.75)/0.25; r=Math.round(255-20*(1-u)); g=Math.round(130+125*u); b=Math.round(0+255*u); } return [r,g,b]; }
   function grayscale(t){ const v=Math.round(255*t); return [v,v,v]; }
-  function viridisApprox(t){ const r = Math.round(68 + 187 * Math.pow(t,1.0)); const g = Math.round(1 + 210 * Math.pow(t,0.8)); const b = Math.round(84 + 170 * (1 - t)); return [r,g,b]; }
-  function magmaApprox(t){ const r = Math.round(10 + 245 * Math.pow(t,0.9)); const g = Math.round(5 + 160 * Math.pow(t,1.2)); const b = Math.round(20 + 120 * (1 - t)); return [r,g,b]; }
-  function cividisApprox(t){ const r = Math.round(32 + 180 * t); const g = Math.round(69 + 130 * Math.pow(t,0.9)); const b = Math.round(92 + 60 * (1 - t)); return [r,g,b]; }
   function jetApprox(t){ const r = Math.round(255 * Math.max(0, Math.min(1, 1.5 - Math.abs(2*t - 1)))); const g = Math.round(255 * Math.max(0, Math.min(1, 1.5 - Math.abs(2*t)))); const b = Math.round(255 * Math.max(0, Math.min(1, 1.5 - Math.abs(2*t + 1)))); return [r,g,b]; }
-  function buildLUT(name){ const lut=new Uint8ClampedArray(256*3); for(let i=0;i<256;i++){ const t=i/255; const [r,g,b]=colormapSwitch(t,name); lut[i*3]=r; lut[i*3+1]=g; lut[i*3+2]=b; } return lut; }
+  function buildLUT(name){
+    const cm = globalThis._colormaps;
+    const table = cm ? cm.lut(name) : null;
+    const lut = new Uint8ClampedArray(256*3);
+    for(let i=0;i<256;i++){ if (table) { lut.set(table.subarray(i*3, i*3+3), i*3); continue; } const [r,g,b]=colormapSwitch(i/255,name); lut[i*3]=r; lut[i*3+1]=g; lut[i*3+2]=b; }
+    if (cm && cm.inverted()) { for(let i=0;i<128;i++){ for(let c=0;c<3;c++){ const a=i*3+c, b=(255-i)*3+c; const v=lut[a]; lut[a]=lut[b]; lut[b]=v; } } }
+    return lut;
+  }
 
-  // processFile: compute STFT and draw image; updates globals
-  async function processFile(file, fftSize, overlapFactor, pxpf, cmap){
-    globalThis._spectroTiles = null; globalThis._spectroSpectra = null; globalThis._spectroYMax = null;
-    const arrayBuffer = await file.arrayBuffer();
-    const CtxClass = globalThis.AudioContext || globalThis.webkitAudioContext;
-    if (!CtxClass) throw new Error('AudioContext not supported');
-    const audioCtx = new CtxClass();
-    let decoded;
-    try { decoded = await audioCtx.decodeAudioData(arrayBuffer); } finally { if (audioCtx.close) audioCtx.close().catch(()=>{}); }
+  // --- STFT/tile worker (spectrogram_worker.js) ---
+  // Started from a Blob URL so it also works when the page is opened from file://; if Workers are
+  // unavailable the same worker function runs in-thread behind a fake port (slower, but identical output).
+  const MAX_TILE_W = 8192;
+  const TILE_PXPF = 1; // tiles hold one image column per frame; the view zoom scales them (see blitVisible)
+  let spectroWorker = null;
+  let workerJobSeq = 0;
+  const workerJobs = new Map(); // id -> { resolve, reject, handlers }
+
+  function createInThreadWorker(main) {
+    const worker = { onmessage: null, onerror: null, postMessage: null };
+    const port = { onmessage: null, postMessage(msg) { setTimeout(() => { if (worker.onmessage) worker.onmessage({ data: msg }); }, 0); } };
+    worker.postMessage = (msg) => { setTimeout(() => { if (port.onmessage) port.onmessage({ data: msg }); }, 0); };
+    main(port);
+    return worker;
+  }
+
+  function getSpectroWorker() {
+    if (spectroWorker) return spectroWorker;
+    const main = globalThis._spectroWorkerMain;
+    if (typeof main !== 'function') throw new Error('spectrogram_worker.js is not loaded');
+    try {
+      const src = '(' + main.toString() + ')(self);';
+      const url = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+      spectroWorker = new Worker(url);
+    } catch (e) {
+      console.warn('Spectrogram worker unavailable; computing on the main thread', e);
+      spectroWorker = createInThreadWorker(main);
+    }
+    spectroWorker.onmessage = onWorkerMessage;
+    spectroWorker.onerror = (ev) => {
+      const err = new Error((ev && ev.message) || 'Spectrogram worker failed');
+      workerJobs.forEach(job => { try { job.reject(err); } catch (e) {} });
+      workerJobs.clear();
+    };
+    return spectroWorker;
+  }
+
+  function onWorkerMessage(ev) {
+    const msg = (ev && ev.data) || {};
+    // lent spectra come back from superseded jobs too
+    if (msg.type === 'returned') { spectraReturned(msg); return; }
+    const job = workerJobs.get(msg.id);
+    if (!job) {
+      // superseded job: release any bitmap it still delivers
+      if (msg.bitmap && msg.bitmap.close) { try { msg.bitmap.close(); } catch (e) {} }
+      return;
+    }
+    const h = job.handlers || {};
+    try {
+      switch (msg.type) {
+        case 'progress': if (h.onProgress) h.onProgress(msg); break;
+        case 'spectra': if (h.onSpectra) h.onSpectra(msg); break;
+        case 'tile': if (h.onTile) h.onTile(msg); break;
+        case 'done': workerJobs.delete(msg.id); job.resolve(true); break;
+        case 'cancelled': workerJobs.delete(msg.id); job.resolve(false); break;
+        case 'error': workerJobs.delete(msg.id); job.reject(new Error(msg.message || 'Spectrogram worker error')); break;
+      }
+    } catch (e) {
+      console.error('spectrogram worker handler failed', e);
+    }
+  }
+
+  // Post a job; resolves true when finished, false when a newer job superseded it.
+  function runWorkerJob(msg, transfer, handlers) {
+    const worker = getSpectroWorker();
+    workerJobs.forEach(job => job.resolve(false));
+    workerJobs.clear();
+    const id = ++workerJobSeq;
+    if (msg.type === 'compute' || msg.type === 'load' || msg.type === 'render') spectraAway = id;
+    return new Promise((resolve, reject) => {
+      workerJobs.set(id, { resolve, reject, handlers: handlers || {} });
+      worker.postMessage(Object.assign({}, msg, { id }), transfer || []);
+    });
+  }
+
+  // --- spectra ownership ---
+  // globalThis._spectroSpectra is the only copy of a decoded recording's magnitudes. A compute/load/render
+  // job takes it (its buffer is transferred) and the worker transfers it back when the job ends; meanwhile
+  // the array here is detached, so frames are read through spectraResident(). A compute job's spectra
+  // arrive with its 'returned' message. spectraId names the analysis for the worker's noise-profile cache.
+  let spectraAway = 0;        // id of the job holding the spectra, 0 when they are here
+  let spectraWaiters = [];
+  let spectraId = 0;
+  let lendSeq = 0;
+
+  function spectraResident() { return spectraAway ? null : globalThis._spectroSpectra; }
+  function spectraHome() {
+    spectraAway = 0;
+    const waiters = spectraWaiters;
+    spectraWaiters = [];
+    waiters.forEach(r => r());
+  }
+  function spectraReturned(msg) {
+    if (!spectraAway || msg.id !== spectraAway) return; // a job of an analysis since dropped
+    globalThis._spectroSpectra = msg.spectra || null;
+    spectraHome();
+  }
+  // a new recording: whatever a job still holds belongs to the old one
+  function dropSpectra() {
+    globalThis._spectroSpectra = null;
+    spectraId++;
+    spectraHome();
+  }
+
+  // Repaint from the spectra (a 'render' job with render = makeRender(...) [+ frame0/frame1]). When a job
+  // still holds them it is cancelled and its return awaited; resolves like runWorkerJob.
+  async function lendSpectra(render, handlers) {
+    const seq = ++lendSeq;
+    if (spectraAway) {
+      workerJobs.forEach(job => job.resolve(false));
+      workerJobs.clear();
+      getSpectroWorker().postMessage({ type: 'cancel', id: spectraAway });
+      await new Promise(r => spectraWaiters.push(r));
+      if (seq !== lendSeq) return false; // a newer repaint was asked for meanwhile
+    }
+    const sp = globalThis._spectroSpectra;
+    if (!sp) return false;
+    const job = {
+      type: 'render', spectraId, spectra: sp, numFrames: globalThis._spectroNumFrames, bins: globalThis._spectroBins,
+      topDB: globalThis._spectroTopDB, bottomDB: globalThis._spectroBottomDB, render
+    };
+    return runWorkerJob(job, [sp.buffer], handlers);
+  }
+
+  // worker tile message -> something drawImage accepts (ImageBitmap, or a canvas built from raw pixels)
+  function tileDrawable(m) {
+    if (m.bitmap) return m.bitmap;
+    const c = document.createElement('canvas');
+    c.width = m.cols; c.height = m.rows;
+    c.getContext('2d', { alpha:false }).putImageData(new ImageData(m.pixels, m.cols, m.rows), 0, 0);
+    return c;
+  }
+  function releaseTile(tile) { if (tile && tile.bitmap && typeof tile.bitmap.close === 'function') { try { tile.bitmap.close(); } catch (e) {} } }
+
+  function tileTimes(startCol, cols, pxpf, numFrames, framesPerSec) {
+    const leftFrameIdx = Math.floor(startCol / pxpf);
+    const startTime = Math.max(0, Math.min((numFrames - 1) / framesPerSec, leftFrameIdx / framesPerSec));
+    const endTime = Math.min((numFrames - 1) / framesPerSec, ((startCol + cols - 1) / pxpf) / framesPerSec);
+    return { startTime, endTime };
+  }
+
+  function showProgress(m) {
+    const pct = m.total ? Math.round(100 * m.done / m.total) : 0;
+    try { window.__spectroWait && window.__spectroWait.show({ etaText: 'Computing spectra… ' + pct + '%' }); } catch (e) {}
+  }
 
-    const sr = decoded.sampleRate;
+  // samples handed to the worker (it takes ownership, so never the AudioBuffer's own channel data):
+  // channel is 1-based, 0 mixes all channels
+  function mixToMono(decoded, channel) {
     const channels = decoded.numberOfChannels;
     const length = decoded.length;
     const mono = new Float32Array(length);
-    if (channels === 1) mono.set(decoded.getChannelData(0)); else { const ch=[]; for(let c=0;c<channels;c++) ch.push(decoded.getChannelData(c)); for(let i=0;i<length;i++){ let s=0; for(let c=0;c<channels;c++) s+=ch[c][i]; mono[i]=s/channels; } }
+    if (channels === 1) mono.set(decoded.getChannelData(0));
+    else if (channel) mono.set(decoded.getChannelData(channel - 1));
+    else { const ch=[]; for(let c=0;c<channels;c++) ch.push(decoded.getChannelData(c)); for(let i=0;i<length;i++){ let s=0; for(let c=0;c<channels;c++) s+=ch[c][i]; mono[i]=s/channels; } }
+    return mono;
+  }
 
-    const N = fftSize; if ((N & (N - 1)) !== 0) throw new Error('FFT size must be a power of two');
-    const hop = Math.max(1, Math.floor(N / overlapFactor));
-    const framesPerSec = sr / hop;
-    const window = hannWindow(N);
-    const numFrames = Math.max(0, Math.floor((mono.length - N) / hop) + 1);
-    if (numFrames <= 0) { alert('Audio too short for FFT size'); return; }
-    const bins = N / 2;
-    const spectra = new Float32Array(numFrames * bins);
-
-    let minDB = Infinity, maxDB = -Infinity;
-    const re = new Float32Array(N), im = new Float32Array(N);
-    for (let fIdx = 0; fIdx < numFrames; fIdx++){
-      const off = fIdx * hop;
-      for (let n=0;n<N;n++){ const s = mono[off+n] || 0; re[n] = s * window[n]; im[n] = 0; }
-      fft(re, im);
-      for (let b=0;b<bins;b++){ const r=re[b], i=im[b]; const mag=Math.sqrt(r*r+i*i)/N; const db=20*log10(mag+1e-12); if(db<minDB) minDB=db; if(db>maxDB) maxDB=db; spectra[fIdx*bins + b] = mag; }
-      if ((fIdx & 127) === 0) await new Promise(r => setTimeout(r,0));
-    }
+  // dB floor/ceiling relative to the peak; the ceiling always stays at least 1 dB above the floor
+  function readLevels() {
+    let floorDB = Number(dbFloorInput && dbFloorInput.value);
+    let ceilDB = Number(dbCeilInput && dbCeilInput.value);
+    if (!isFinite(floorDB)) floorDB = DEFAULT_FLOOR_DB;
+    if (!isFinite(ceilDB)) ceilDB = 0;
+    ceilDB = Math.max(floorDB + 1, Math.min(0, ceilDB));
+    return { floorDB, ceilDB };
+  }
 
-    const DR = 80, top = maxDB, bottom = Math.max(minDB, maxDB - DR);
-    const denom = (top - bottom) || 1e-6;
-    const imageW = Math.max(1, numFrames * pxpf);
-    const imageH = IMAGE_H;
-    const dpr = window.devicePixelRatio || 1;
-    const cssWidth = imageW;
-    const cssHeight = AXIS_TOP + imageH + AXIS_BOTTOM;
+  // display mode: 'db' (plain magnitudes), 'denoise' (median noise profile subtracted per bin) or 'pcen'.
+  // noiseSegment = { begin, end } in seconds narrows the profile to a noise-only stretch; null = whole file.
+  let noiseSegment = null;
+  function readDisplayMode() { const v = displayModeSelect && displayModeSelect.value; return (v === 'denoise' || v === 'pcen') ? v : 'db'; }
+
+  // PCEN parameters; the smoothing coefficient follows from the time constant and the frame rate
+  function readPcen() {
+    const num = (el, def, lo, hi) => { const v = Number(el && el.value); return isFinite(v) ? Math.max(lo, Math.min(hi, v)) : def; };
+    const T = num(pcenTInput, 0.4, 0.001, 60);
+    const b = T * (globalThis._spectroFramesPerSec || 1);
+    const s = (Math.sqrt(1 + 4 * b * b) - 1) / (2 * b * b);
+    return { s: Math.max(1e-6, Math.min(1, s)), alpha: num(pcenAlphaInput, 0.98, 0, 1), delta: num(pcenDeltaInput, 2, 0, 100), r: num(pcenRInput, 0.5, 0.01, 1), eps: 1e-6, inputScale: PCEN_INPUT_SCALE, fullScale: PCEN_FULL_SCALE };
+  }
+  function denoiseRange() {
+    if (!noiseSegment) return {};
+    const fps = globalThis._spectroFramesPerSec || 1;
+    return { frame0: Math.floor(noiseSegment.begin * fps), frame1: Math.ceil(noiseSegment.end * fps) + 1 };
+  }
 
-    if (scrollArea && scrollArea.style){ scrollArea.style.overflowX='auto'; scrollArea.style.overflowY='hidden'; scrollArea.style.whiteSpace='nowrap'; }
+  // worker render parameters for the band ymin..ymax (Hz) on the given frequency scale; the level mapping
+  // they carry is kept for paintedLevels
+  function makeRender(pxpf, imageH, cmap, scale, ymin, ymax, nyq) {
+    const { floorDB, ceilDB } = readLevels();
+    const mode = readDisplayMode();
+    const gain = Math.max(0.0001, parseFloat(gainInput && gainInput.value) || 1);
+    const denoise = mode === 'denoise' ? denoiseRange() : null;
+    const pcen = mode === 'pcen' ? readPcen() : null;
+    globalThis._spectroFloorDB = floorDB; globalThis._spectroCeilDB = ceilDB; globalThis._spectroDisplayMode = mode;
+    levelsPainted = { mode, gain, floorDB, ceilDB, denoise, pcen, key: [mode, gain, floorDB, ceilDB, JSON.stringify(denoise), JSON.stringify(pcen)].join('|') };
+    return { pxpf, imageH, tileW: MAX_TILE_W, lut: buildLUT(cmap), gain, rowHz: buildRowHz(makeFreqMap(scale, ymin, ymax), imageH), nyq, floorDB, ceilDB, denoise, pcen };
+  }
+
+  // the level mapping of the tiles last painted, for views that map the spectra themselves (overview.js):
+  // { mode, gain, floorDB, ceilDB (dB re topDB), denoise (frame range), pcen (parameters), key, noise }.
+  // noise is the per-bin profile streamed chunks subtract when a noise segment is chosen, else null.
+  let levelsPainted = null;
+  function paintedLevels() {
+    if (!levelsPainted) return null;
+    const s = stream;
+    const noise = (levelsPainted.denoise && s && s.noiseProfile && noiseSegment && s.noiseProfile.key === noiseSegment.begin + ':' + noiseSegment.end) ? s.noiseProfile.profile : null;
+    return Object.assign({}, levelsPainted, { noise });
+  }
+
+  // --- virtualized view: the canvas is only as wide as the viewport ---
+  // A spectrogram of numFrames * zoom columns can exceed browser canvas limits, so #spectrogramCanvas
+  // stays viewport-wide, is shifted with translateX(scrollLeft) to sit under the visible part of the
+  // scroll extent (a spacer element provides the width) and the tiles in _spectroTiles that overlap the
+  // viewport are blitted into it on every scroll. The canvas's on-screen rect therefore always equals
+  // the viewport; overlays map time from #scrollArea's rect plus scrollLeft, as before.
+  let virtualView = false;
+  let viewCssHeight = 0;   // CSS height of the view canvas; its backing store is devicePixelRatio times larger
+
+  function canvasSpacer() {
+    let spacer = document.getElementById('spectrogramSpacer');
+    if (!spacer && canvas && canvas.parentNode) {
+      spacer = document.createElement('div');
+      spacer.id = 'spectrogramSpacer';
+      spacer.style.height = '0px';
+      spacer.setAttribute('aria-hidden', 'true');
+      canvas.parentNode.insertBefore(spacer, canvas.nextSibling);
+    }
+    return spacer;
+  }
 
+  // size the scroll extent to imageW columns and switch the canvas to viewport width
+  function beginVirtualView(imageW, cssHeight) {
+    virtualView = true;
+    const spacer = canvasSpacer();
+    if (spacer) spacer.style.width = imageW + 'px';
     canvas.style.display = 'block'; canvas.style.maxWidth = 'none';
-    canvas.style.width = cssWidth + 'px'; canvas.style.height = cssHeight + 'px';
-    canvas.width = Math.round(cssWidth * dpr); canvas.height = Math.round(cssHeight * dpr);
+    canvas.style.height = cssHeight + 'px';
+    viewCssHeight = cssHeight;
+    canvas.width = 0; // forces positionViewCanvas to size it to the viewport
+    blitVisible();
+  }
 
+  // keep the viewport-wide canvas under the visible part of the scroll extent, backed at the device pixel ratio
+  function positionViewCanvas() {
+    if (!virtualView || !canvas) return;
+    const vp = Math.max(1, viewportWidthPx());
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.round(vp * dpr), h = Math.round(viewCssHeight * dpr);
+    if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; canvas.style.width = vp + 'px'; }
+    canvas.style.transform = 'translateX(' + Math.round(scrollArea.scrollLeft || 0) + 'px)';
+  }
+
+  // tile columns are frames; they are scaled by the view zoom and cropped to the displayed band
+  function blitVisible() {
+    if (!virtualView) return;
+    positionViewCanvas();
+    const left = Math.round(scrollArea.scrollLeft || 0);
+    const vp = Math.max(1, viewportWidthPx());
+    const zoom = currentZoom();
+    const imageH = globalThis._spectroImageHeight || IMAGE_H;
+    const view = currentFreqMap();
+    const tiles = Array.isArray(globalThis._spectroTiles) ? globalThis._spectroTiles : [];
+    // CSS px coordinates, scaled to the backing store
+    const dpr = canvas.width / vp;
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    ctx.clearRect(0, 0, cssWidth, cssHeight);
-    ctx.fillStyle = '#111'; ctx.fillRect(0, AXIS_TOP, imageW, imageH);
+    ctx.fillStyle = '#111'; ctx.fillRect(0, AXIS_TOP, vp, imageH);
+    // magnified frames stay hard-edged, as the worker used to paint them at 2x-4x
+    ctx.imageSmoothingEnabled = zoom * dpr < 1;
+    ctx.save();
+    ctx.beginPath(); ctx.rect(0, AXIS_TOP, vp, imageH); ctx.clip();
+    tiles.forEach(entry => {
+      if (!entry || !entry.bitmap) return;
+      const x = entry.startCol * zoom - left, w = entry.cols * zoom;
+      if (x + w <= 0 || x >= vp) return;
+      const rows = tileRows(entry, view, imageH);
+      ctx.drawImage(entry.bitmap, 0, rows.y, entry.cols, rows.h, x, AXIS_TOP, w, imageH);
+    });
+    ctx.restore();
+  }
 
-    const lut = buildLUT(cmap);
-    const MAX_TILE_W = 8192;
-    const tileW = Math.min(MAX_TILE_W, imageW);
-    const tiles = [];
-    const gain = Math.max(0.0001, parseFloat(gainInput && gainInput.value) || 1);
+  // source rows of a tile painted for entry.band that show the displayed band. Linear, log and mel maps
+  // are each affine in their warped axis, so until the repaint lands a band change is a crop/stretch.
+  function tileRows(entry, view, imageH) {
+    const b = entry.band;
+    if (!b || b.scale !== (globalThis._spectroFreqScale || 'linear') || (b.lo === view.lo && b.hi === view.hi)) return { y: 0, h: imageH };
+    const map = makeFreqMap(b.scale, b.lo, b.hi);
+    const yTop = (1 - map.hzToFrac(view.hi)) * (imageH - 1);
+    const yBottom = (1 - map.hzToFrac(view.lo)) * (imageH - 1);
+    const k = (yBottom - yTop) / Math.max(1, imageH - 1);
+    return { y: yTop + 0.5 - 0.5 * k, h: imageH * k };
+  }
 
-    // We'll draw tiles; after the first tile(s) that fill visible left region are drawn,
-    // dispatch completion and hide overlay immediately so UI can proceed.
-    let firstTilePainted = false;
+  // --- view zoom: time (CSS px per frame) and frequency (displayed band) without recomputing ---
+  const ZOOM_MIN = 0.1;
+  const ZOOM_MAX = 32;
+  const MAX_SCROLL_W = 30000000;  // browsers cap element widths a little above this
+  const FREQ_ZOOM_MIN_BINS = 4;   // narrowest band, in FFT bins
+  let viewNotifyRaf = 0;
+
+  function currentZoom() { return globalThis._spectroPxPerFrame || 1; }
+
+  // the mapping helpers assume at least 1 px per second, and the scroll extent must stay below MAX_SCROLL_W
+  function clampZoom(zoom) {
+    const numFrames = Math.max(1, globalThis._spectroNumFrames || 1);
+    const duration = globalThis._spectroDuration || numFrames / (globalThis._spectroFramesPerSec || 1);
+    const min = Math.max(ZOOM_MIN, duration / numFrames);
+    const max = Math.max(min, Math.min(ZOOM_MAX, MAX_SCROLL_W / numFrames));
+    return Math.max(min, Math.min(max, Number(zoom) || 1));
+  }
 
-    for (let tileX = 0, tileIndex = 0; tileX < imageW; tileX += tileW, tileIndex++){
-      const w = Math.min(tileW, imageW - tileX);
-      const tilePixels = new Uint8ClampedArray(w * imageH * 4);
-
-      for (let localX = 0; localX < w; localX++){
-        const globalX = tileX + localX;
-        const frameIdx = Math.floor(globalX / pxpf);
-        const baseFrame = Math.min(numFrames - 1, Math.max(0, frameIdx));
-        for (let y = 0; y < imageH; y++){
-          const binIdx = Math.floor(y * bins / imageH);
-          const bin = bins - 1 - Math.min(bins - 1, Math.max(0, binIdx));
-          const mag = spectra[baseFrame * bins + bin];
-          const magAdj = mag * gain;
-          const db = 20 * (Math.log(magAdj + 1e-12) / Math.LN10);
-          let v = (db - bottom) / denom; if (!isFinite(v)) v = 0; v = Math.max(0, Math.min(1, v));
-          const lutIdx = Math.round(v * 255) | 0;
-          const rgbBase = lutIdx * 3;
-          const idx = (y * w + localX) * 4;
-          tilePixels[idx] = lut[rgbBase]; tilePixels[idx+1] = lut[rgbBase+1]; tilePixels[idx+2] = lut[rgbBase+2]; tilePixels[idx+3] = 255;
-        }
+  // zoom -> image width and px/s (needs _spectroNumFrames and _spectroDuration of the current file)
+  function applyDisplayZoom(zoom) {
+    const imageW = Math.max(1, Math.round((globalThis._spectroNumFrames || 0) * zoom));
+    globalThis._spectroPxPerFrame = zoom;
+    globalThis._spectroImageWidth = imageW;
+    globalThis._spectroPxPerSec = (isFinite(globalThis._spectroDuration) && globalThis._spectroDuration > 0) ? (imageW / globalThis._spectroDuration) : ((globalThis._spectroFramesPerSec || 1) * zoom);
+    const spacer = virtualView ? canvasSpacer() : null;
+    if (spacer) spacer.style.width = imageW + 'px';
+  }
+
+  function readZoomSelect() {
+    const v = xzoomSelect ? xzoomSelect.value : '2';
+    if (v === 'custom') return currentZoom();
+    const z = Number(v);
+    return (isFinite(z) && z > 0) ? Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, z)) : 2;
+  }
+
+  // show the current zoom in the X zoom select (a 'custom' entry when it is not one of the presets)
+  function syncZoomSelect() {
+    if (!xzoomSelect) return;
+    const z = currentZoom();
+    let custom = xzoomSelect.querySelector('option[value="custom"]');
+    const preset = Array.from(xzoomSelect.options).find(o => o.value !== 'custom' && Math.abs(Number(o.value) - z) < 1e-6);
+    if (preset) { if (custom) custom.remove(); xzoomSelect.value = preset.value; return; }
+    if (!custom) { custom = document.createElement('option'); custom.value = 'custom'; xzoomSelect.appendChild(custom); }
+    custom.textContent = (z < 1 ? z.toFixed(2) : z.toFixed(1)) + 'x';
+    xzoomSelect.value = 'custom';
+  }
+
+  // overlays re-read the mapping on 'spectrogram-generated'; coalesced to one per frame while zooming
+  function notifyViewChanged() {
+    if (viewNotifyRaf) return;
+    viewNotifyRaf = requestAnimationFrame(() => {
+      viewNotifyRaf = 0;
+      try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { zoom: currentZoom(), ymin: globalThis._spectroYMin, ymax: globalThis._spectroYMax } } })); } catch (e) {}
+    });
+  }
+
+  // set the time zoom keeping the time under clientX (default: viewport centre) in place
+  function setTimeZoom(zoom, clientX) {
+    if (!virtualView || !globalThis._spectroNumFrames) return;
+    const z = clampZoom(zoom);
+    if (Math.abs(z - currentZoom()) < 1e-9) return;
+    const vp = viewportWidthPx();
+    const localX = (typeof clientX === 'number') ? Math.max(0, Math.min(vp, clientX - scrollArea.getBoundingClientRect().left)) : vp / 2;
+    const anchorSec = ((scrollArea.scrollLeft || 0) + localX) / effectivePxPerSec();
+    applyDisplayZoom(z);
+    safeSetScrollLeft(anchorSec * effectivePxPerSec() - localX);
+    blitVisible();
+    if (stream) requestVisibleChunks();
+    syncZoomSelect();
+    updateXTicksFromScroll();
+    notifyViewChanged();
+  }
+
+  // narrow/widen the displayed band by factor, keeping the frequency under clientY (default: centre) in place.
+  // The zoom works on the full-band scale so log and mel zoom evenly; tiles are cropped right away and
+  // repainted from the spectra for the new band by the debounced live apply.
+  function zoomFreqBy(factor, clientY) {
+    if (!virtualView || !globalThis._spectroNumFrames || !(factor > 0)) return;
+    const sr = globalThis._spectroSampleRate, nyq = sr / 2;
+    const imageH = globalThis._spectroImageHeight || IMAGE_H;
+    const full = makeFreqMap(globalThis._spectroFreqScale, 0, nyq);
+    const view = currentFreqMap();
+    const uLo = full.hzToFrac(view.lo), uHi = full.hzToFrac(view.hi);
+    const top = canvas.getBoundingClientRect().top + AXIS_TOP;
+    const frac = (typeof clientY === 'number') ? Math.max(0, Math.min(1, 1 - (clientY - top) / Math.max(1, imageH - 1))) : 0.5;
+    const width = Math.min(1, (uHi - uLo) / factor);
+    const u0 = Math.max(0, Math.min(1 - width, uLo + frac * (uHi - uLo) - frac * width));
+    const lo = u0 <= 0 ? 0 : full.fracToHz(u0);
+    const hi = Math.min(nyq, full.fracToHz(u0 + width));
+    if (hi - lo < FREQ_ZOOM_MIN_BINS * sr / (globalThis._spectroFFTSize || DEFAULT_FFT_SIZE)) return;
+    globalThis._spectroYMin = lo; globalThis._spectroYMax = hi;
+    globalThis._spectroLastGen = Object.assign({}, globalThis._spectroLastGen, { ymin: lo, ymax: hi });
+    if (ymaxInput) ymaxInput.value = (Math.round(hi / 10) / 100).toString();
+    if (yminInput) yminInput.value = lo > 0 ? (Math.round(lo / 10) / 100).toString() : '';
+    blitVisible();
+    updateXTicksFromScroll();
+    notifyViewChanged();
+    debouncedLiveApply();
+  }
+
+  globalThis._spectroZoom = {
+    get: currentZoom,
+    setTime: setTimeZoom,
+    zoomTimeBy: (factor, clientX) => setTimeZoom(currentZoom() * factor, clientX),
+    zoomFreqBy
+  };
+
+  // --- streaming path: very long uncompressed WAV is analysed in slices read with file.slice() ---
+  // Only the chunks near the viewport exist as tiles/spectra (LRU, older ones evicted) and are shown
+  // through the virtualized view above.
+  const STREAM_MIN_BYTES = 256 * 1024 * 1024;   // files at least this large are streamed
+  const STREAM_CHUNK_COLS = 4096;                // image columns per chunk (one tile each)
+  const STREAM_CHUNK_VALUES = 4 * 1024 * 1024;   // cap on frames * bins held per chunk
+  const STREAM_RESIDENT_CHUNKS = 8;              // chunks kept before the least recently used is evicted
+  let stream = null;
+
+  function endStream() {
+    if (!stream) return;
+    stream.cache.forEach(entry => releaseTile(entry));
+    stream.cache.clear();
+    stream = null;
+    globalThis._spectroStreaming = false;
+    globalThis._spectroAudioSource = null;
+  }
+
+  function visibleChunkRange() {
+    const zoom = currentZoom();
+    const left = Math.max(0, scrollArea.scrollLeft || 0) / zoom;
+    const first = Math.floor(left / stream.chunkCols);
+    const last = Math.min(stream.chunkCount - 1, Math.floor((left + viewportWidthPx() / zoom) / stream.chunkCols));
+    return { first, last };
+  }
+
+  function evictChunks(keep) {
+    for (const [k, entry] of stream.cache) {
+      if (stream.cache.size <= STREAM_RESIDENT_CHUNKS) break;
+      if (keep.has(k)) continue;
+      stream.cache.delete(k);
+      releaseTile(entry);
+      delete stream.tiles[k];
+    }
+  }
+
+  // mono samples for frames [frame0, frame0 + frames) of the stream; a filtered read starts early so the
+  // IIR filter has settled by its first frame (preroll samples to skip), null when superseded
+  async function readStreamFrames(s, frame0, frames) {
+    const start = frame0 * s.hop;
+    const lowest = s.filter ? Math.min.apply(null, s.filter.map(sec => sec.freq)) : 0;
+    const preroll = s.filter ? Math.min(start, Math.ceil(s.sampleRate * Math.min(FILTER_MAX_PREROLL_SEC, FILTER_SETTLE_CYCLES / lowest))) : 0;
+    const decoded = await globalThis._wavDecoder.readFrames(s.file, s.header, start - preroll, preroll + (frames - 1) * s.hop + s.N);
+    if (stream !== s) return null;
+    return { samples: mixToMono(decoded, s.channel), preroll };
+  }
+
+  // noise subtraction for streamed chunks: the profile of the chosen noise segment (read and analysed once
+  // per segment, at most NOISE_SEGMENT_MAX_FRAMES of it) so every chunk is denoised alike; without a
+  // segment a chunk only has its own frames and uses their median. null when superseded.
+  const NOISE_SEGMENT_MAX_FRAMES = 2048;
+  async function streamDenoise(s) {
+    if (!noiseSegment) return {};
+    const key = noiseSegment.begin + ':' + noiseSegment.end;
+    if (s.noiseProfile && s.noiseProfile.key === key) return { profile: s.noiseProfile.profile };
+    const frame0 = Math.max(0, Math.min(s.numFrames - 1, Math.floor(noiseSegment.begin * s.framesPerSec)));
+    const frames = Math.max(1, Math.min(NOISE_SEGMENT_MAX_FRAMES, s.numFrames - frame0, Math.ceil(noiseSegment.end * s.framesPerSec) + 1 - frame0));
+    const read = await readStreamFrames(s, frame0, frames);
+    if (!read) return null;
+    let res = null;
+    const ok = await runWorkerJob({ type: 'chunk', samples: read.samples, sampleRate: s.sampleRate, fftSize: s.N, hop: s.hop, window: s.window, filter: s.filter, skip: read.preroll, spectraOnly: true }, [read.samples.buffer], {
+      onSpectra: (m) => { res = m; }
+    });
+    if (!ok || !res || stream !== s) return null;
+    const profile = new Float32Array(res.bins);
+    const col = new Float32Array(res.numFrames);
+    for (let b = 0; b < res.bins; b++) {
+      for (let f = 0; f < res.numFrames; f++) col[f] = res.spectra[f * res.bins + b];
+      col.sort();
+      profile[b] = col[res.numFrames >> 1];
+    }
+    s.noiseProfile = { key, profile };
+    return { profile };
+  }
+
+  // dB levels of a streamed recording, fixed for all its chunks so their tiles match: the peak over
+  // STREAM_LEVEL_PROBES stretches of STREAM_LEVEL_PROBE_FRAMES frames spread evenly over the file (the
+  // same ones whatever part is in view), the floor at most DEFAULT_FLOOR_DB below it. null when superseded.
+  const STREAM_LEVEL_PROBES = 16;
+  const STREAM_LEVEL_PROBE_FRAMES = 64;
+  async function streamLevels(s) {
+    if (s.levels) return s.levels;
+    const frames = Math.min(STREAM_LEVEL_PROBE_FRAMES, s.numFrames);
+    const probes = Math.max(1, Math.min(STREAM_LEVEL_PROBES, Math.floor(s.numFrames / frames)));
+    let minMag = Infinity, maxMag = 0;
+    for (let p = 0; p < probes; p++) {
+      const frame0 = probes > 1 ? Math.round(p * (s.numFrames - frames) / (probes - 1)) : 0;
+      const read = await readStreamFrames(s, frame0, frames);
+      if (!read) return null;
+      let res = null;
+      const ok = await runWorkerJob({ type: 'chunk', samples: read.samples, sampleRate: s.sampleRate, fftSize: s.N, hop: s.hop, window: s.window, filter: s.filter, skip: read.preroll, spectraOnly: true }, [read.samples.buffer], {
+        onSpectra: (m) => { res = m; }
+      });
+      if (!ok || !res || stream !== s) return null;
+      for (let i = 0; i < res.spectra.length; i++) { const v = res.spectra[i]; if (v < minMag) minMag = v; if (v > maxMag) maxMag = v; }
+    }
+    const topDB = 20 * Math.log10(maxMag + 1e-12);
+    const bottomDB = Math.max(20 * Math.log10(minMag + 1e-12), topDB + DEFAULT_FLOOR_DB);
+    s.levels = { topDB, bottomDB };
+    globalThis._spectroTopDB = topDB;
+    globalThis._spectroBottomDB = bottomDB;
+    globalThis._spectroDenom = (topDB - bottomDB) || 1e-6;
+    return s.levels;
+  }
+
+  // read, analyse and paint chunk k; false when the job was superseded
+  async function loadChunk(s, k) {
+    const frame0 = k * s.framesPerChunk;
+    const frames = Math.min(s.framesPerChunk, s.numFrames - frame0);
+    const levels = await streamLevels(s);
+    if (!levels) return false;
+    const denoise = s.render.denoise ? await streamDenoise(s) : null;
+    if (s.render.denoise && !denoise) return false;
+    const read = await readStreamFrames(s, frame0, frames);
+    if (!read) return false;
+    const { samples, preroll } = read;
+    const renderSeq = s.renderSeq;
+    const band = s.band;
+    let spectra = null;
+    const render = denoise ? Object.assign({}, s.render, { denoise }) : s.render;
+    return runWorkerJob({ type: 'chunk', samples, sampleRate: s.sampleRate, fftSize: s.N, hop: s.hop, window: s.window, filter: s.filter, skip: preroll, levels, render }, [samples.buffer], {
+      onSpectra: (m) => { spectra = m.spectra; },
+      onTile: (m) => {
+        const bitmap = tileDrawable(m);
+        if (stream !== s || renderSeq !== s.renderSeq) { releaseTile({ bitmap }); return; }
+        const startCol = frame0 * TILE_PXPF;
+        const entry = { bitmap, cols: m.cols, startCol, band, startTime: frame0 / s.framesPerSec, endTime: (frame0 + frames - 1) / s.framesPerSec, frame0, frames, spectra };
+        releaseTile(s.cache.get(k));
+        s.cache.delete(k);
+        s.cache.set(k, entry);
+        s.tiles[k] = entry;
+        blitVisible();
+        try { window.dispatchEvent(new CustomEvent('spectrogram-chunk-ready', { detail: { chunk: k, frame0, frames } })); } catch (e) {}
       }
+    });
+  }
 
+  // queue the chunks around the viewport (nearest first) and work through them one job at a time
+  async function requestVisibleChunks() {
+    const s = stream;
+    if (!s) return;
+    const { first, last } = visibleChunkRange();
+    const want = [];
+    for (let k = first; k <= Math.min(s.chunkCount - 1, last + 1); k++) want.push(k);
+    s.queue = want.filter(k => !s.cache.has(k));
+    want.forEach(k => { const e = s.cache.get(k); if (e) { s.cache.delete(k); s.cache.set(k, e); } }); // touch (LRU)
+    if (s.pumping) return s.pumpDone;
+    s.pumping = true;
+    s.pumpDone = (async () => {
       try {
-        const tileImage = new ImageData(tilePixels, w, imageH);
-        ctx.putImageData(tileImage, tileX, AXIS_TOP);
-
-        // mark that at least one tile has been painted
-        if (!firstTilePainted) {
-          firstTilePainted = true;
-          // visible content is now present; inform listeners and hide overlay immediately (defensive)
-          try {
-            const meta = { duration: (length / sr), pxPerSec: ((imageW / Math.max(1, length/sr)) || (framesPerSec * pxpf)), imageHeight: imageH, sampleRate: sr, cmap: cmap, fileName: file.name };
-            try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta } })); } catch (e) {}
-          } catch (e) {}
-          try { window.__spectroWait && window.__spectroWait.hide(); } catch (e) {}
+        while (stream === s && s.queue.length) {
+          const k = s.queue.shift();
+          if (s.cache.has(k)) continue;
+          const ok = await loadChunk(s, k);
+          if (!ok) break;
+          const range = visibleChunkRange();
+          const keep = new Set(); for (let j = range.first; j <= range.last + 1; j++) keep.add(j);
+          evictChunks(keep);
         }
-
-        const tcanvas = document.createElement('canvas');
-        tcanvas.style.width = w + 'px';
-        tcanvas.style.height = imageH + 'px';
-        tcanvas.width = Math.round(w * dpr);
-        tcanvas.height = Math.round(imageH * dpr);
-        const tctx = tcanvas.getContext('2d', { alpha:false });
-        tctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        tctx.putImageData(tileImage, 0, 0);
-
-        const leftFrameIdx = Math.floor(tileX / pxpf);
-        const startTime = Math.max(0, Math.min((numFrames - 1) / framesPerSec, leftFrameIdx / framesPerSec));
-        const endTime = Math.min((numFrames - 1) / framesPerSec, ((tileX + w - 1) / pxpf) / framesPerSec);
-
-        tiles.push({ bitmap: tcanvas, cols: w, startCol: tileX, startTime, endTime });
-      } catch(e){
-        console.error('paint tile failed', e);
+      } finally {
+        s.pumping = false;
       }
+    })();
+    return s.pumpDone;
+  }
 
-      if ((tileIndex & 1) === 0) await new Promise(r => setTimeout(r,0));
-    }
+  async function processFileStreaming(file, header, analysis, zoom, cmap) {
+    const sr = header.sampleRate * teRateScale(analysis.timeExpansion);
+    const channels = header.numberOfChannels;
+    const length = header.length;
+    populateChannelOptions(channels);
+    const channel = (analysis.channel >= 1 && analysis.channel <= channels) ? analysis.channel : 0;
+
+    const N = analysis.fftSize; if ((N & (N - 1)) !== 0) throw new Error('FFT size must be a power of two');
+    const hop = Math.max(1, Math.round(N * (1 - analysis.overlap / 100)));
+    const framesPerSec = sr / hop;
+    const numFrames = Math.max(0, Math.floor((length - N) / hop) + 1);
+    if (numFrames <= 0) { alert('Audio too short for FFT size'); return; }
 
-    // update globals (authoritative)
+    const imageH = IMAGE_H;
+    const cssHeight = AXIS_TOP + imageH + AXIS_BOTTOM;
+    const framesPerChunk = Math.max(1, Math.min(Math.floor(STREAM_CHUNK_COLS / TILE_PXPF), Math.floor(STREAM_CHUNK_VALUES / (N / 2))));
+    const chunkCount = Math.ceil(numFrames / framesPerChunk);
+    const scale = readFreqScale();
+    const tiles = new Array(chunkCount);
+
+    globalThis._spectroSampleRate = sr; globalThis._spectroFFTSize = N; globalThis._spectroFramesPerSec = framesPerSec; // PCEN smoothing is per frame
+    stream = {
+      file, header, sampleRate: sr, channel, N, hop, window: analysis.window, filter: filterSections(analysis.filter, sr), imageH, numFrames, framesPerSec,
+      framesPerChunk, chunkCols: framesPerChunk * TILE_PXPF, chunkCount, tiles,
+      levels: null, render: makeRender(TILE_PXPF, imageH, cmap, scale, 0, sr / 2, sr / 2), band: { lo: 0, hi: sr / 2, scale }, renderSeq: 0,
+      cache: new Map(), queue: [], pumping: false, pumpDone: null
+    };
+
+    globalThis._spectroStreaming = true;
     globalThis._spectroTiles = tiles;
-    globalThis._spectroAudioBuffer = decoded;
+    globalThis._spectroAudioBuffer = null;
+    // playback reads the file at its own rate; only the analysis sees the expanded one
+    globalThis._spectroAudioSource = {
+      sampleRate: header.sampleRate, numberOfChannels: channels, length, duration: length / header.sampleRate,
+      read: (start, count) => globalThis._wavDecoder.readFrames(file, header, start, count)
+    };
+    globalThis._spectroChannel = channel;
+    globalThis._spectroChannelCount = channels;
     globalThis._spectroDuration = length / sr;
     globalThis._spectroFramesPerSec = framesPerSec;
-    globalThis._spectroPxPerFrame = pxpf;
-    globalThis._spectroImageWidth = imageW;
     globalThis._spectroAxisLeft = globalThis._spectroAxisLeft || ((axisCanvas && typeof axisCanvas.clientWidth === 'number') ? Math.round(axisCanvas.clientWidth) : 70);
-    globalThis._spectroSampleRate = sr;
     globalThis._spectroNumFrames = numFrames;
     globalThis._spectroImageHeight = imageH;
-    globalThis._spectroPxPerSec = (isFinite(globalThis._spectroDuration) && globalThis._spectroDuration > 0) ? (imageW / globalThis._spectroDuration) : (framesPerSec * pxpf);
-    globalThis._spectroSpectra = spectra;
-    globalThis._spectroBins = bins;
-    globalThis._spectroFFTSize = N;
-    globalThis._spectroTopDB = top;
-    globalThis._spectroBottomDB = bottom;
-    globalThis._spectroDenom = denom;
+    applyDisplayZoom(clampZoom(zoom));
+    globalThis._spectroSpectra = null;
+    globalThis._spectroBins = N / 2;
+    globalThis._spectroHop = hop;
+    globalThis._spectroWindow = analysis.window;
+    globalThis._spectroFilter = analysis.filter ? Object.assign({}, analysis.filter, { sections: stream.filter }) : null;
+    globalThis._spectroTimeExpansion = analysis.timeExpansion;
     globalThis._spectroYMax = sr / 2;
+    globalThis._spectroYMin = 0;
+    globalThis._spectroFreqScale = scale;
+    globalThis._spectroPageCols = stream.chunkCols;
+    globalThis._spectroPages = chunkCount;
 
+    if (scrollArea && scrollArea.style){ scrollArea.style.overflowX='auto'; scrollArea.style.overflowY='hidden'; scrollArea.style.whiteSpace='nowrap'; }
+    beginVirtualView(globalThis._spectroImageWidth, cssHeight);
+    syncZoomSelect();
     if (ymaxInput) ymaxInput.max = Math.round(sr / 1000);
 
-    globalThis._spectroPageCols = Math.max(1, tileW);
-    globalThis._spectroPages = tiles.length;
+    try { window.__spectroWait && window.__spectroWait.show({ etaText: 'Streaming ' + Math.round(length / sr / 60) + ' min recording…' }); } catch (e) {}
+    await requestVisibleChunks();
+    if (!stream || !stream.cache.size) return;
+
+    drawYAxis(sr, imageH, globalThis._spectroYMax, scale);
+    updateXTicksFromScroll();
+    try {
+      const meta = { duration: globalThis._spectroDuration, pxPerSec: globalThis._spectroPxPerSec, imageHeight: imageH, sampleRate: sr, cmap: cmap, fileName: file.name, streaming: true };
+      window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta } }));
+    } catch (e) {}
+    try { window.__spectroWait && window.__spectroWait.hide(); } catch (e) {}
+  }
+
+  // streamed re-render: new render parameters, drop the resident tiles and repaint what is visible
+  async function reRenderStream(ymaxClamped, yminClamped, scale) {
+    const s = stream;
+    s.render = makeRender(TILE_PXPF, s.imageH, cmapSelect.value || 'custom', scale, yminClamped, ymaxClamped, globalThis._spectroSampleRate / 2);
+    s.band = { lo: yminClamped, hi: ymaxClamped, scale };
+    s.renderSeq++;
+    s.cache.forEach(entry => releaseTile(entry));
+    s.cache.clear();
+    s.tiles.length = 0; s.tiles.length = s.chunkCount;
+    await requestVisibleChunks();
+    return stream === s;
+  }
+
+  // frame access shared by both paths (streamed frames exist only while their chunk is resident)
+  globalThis._spectroSpectraStore = {
+    bins: () => globalThis._spectroBins || 0,
+    numFrames: () => globalThis._spectroNumFrames || 0,
+    getFrame(i) {
+      const bins = globalThis._spectroBins || 0;
+      if (!bins || !(i >= 0 && i < (globalThis._spectroNumFrames || 0))) return null;
+      if (stream) {
+        const entry = stream.cache.get(Math.floor(i / stream.framesPerChunk));
+        if (!entry || !entry.spectra) return null;
+        const j = i - entry.frame0;
+        return entry.spectra.subarray(j * bins, (j + 1) * bins);
+      }
+      const sp = spectraResident();
+      return sp ? sp.subarray(i * bins, (i + 1) * bins) : null;
+    }
+  };
+
+  // file identity shared by the in-session recompute check and the IndexedDB spectra cache
+  function fileIdOf(f) { return `${f.name}|${f.size}|${f.lastModified}`; }
+  // magnitudes do not depend on the rate the file is analysed at, but filter cut-offs (Hz) land on other file frequencies
+  function cacheFilterKey(analysis) {
+    if (!analysis.filter) return null;
+    const scale = teRateScale(analysis.timeExpansion);
+    return filterKey(analysis.filter) + (scale !== 1 ? '@x' + scale : '');
+  }
+
+  // processFile: decode here, STFT + tile painting in the worker; updates globals
+  // (the STFT is skipped when spectra_cache.js holds spectra for this file and analysis)
+  // analysis = { fftSize, overlap (percent), window, channel ('mix' or 1-based) } from readAnalysisSettings()
+  async function processFile(file, analysis, zoom, cmap){
+    endStream();
+    noiseSegment = null; // a noise segment belongs to the previous recording
+    if (noiseFromSelBtn) noiseFromSelBtn.textContent = 'Noise: selection';
+    dropSpectra();
+    globalThis._spectroTiles = null; globalThis._spectroYMax = null; globalThis._spectroYMin = 0;
+    // very long uncompressed WAV never gets read whole
+    const header = (file.size >= STREAM_MIN_BYTES && globalThis._wavDecoder) ? await globalThis._wavDecoder.readHeader(file) : null;
+    if (header) return processFileStreaming(file, header, analysis, zoom, cmap);
+    const arrayBuffer = await file.arrayBuffer();
+    // uncompressed WAV keeps its native rate; decodeAudioData (resamples to the context rate) only for the rest
+    let decoded = globalThis._wavDecoder ? globalThis._wavDecoder.decode(arrayBuffer) : null;
+    if (!decoded) {
+      const CtxClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+      if (!CtxClass) throw new Error('AudioContext not supported');
+      const audioCtx = new CtxClass();
+      try { decoded = await audioCtx.decodeAudioData(arrayBuffer); } finally { if (audioCtx.close) audioCtx.close().catch(()=>{}); }
+    }
+
+    const fileRate = decoded.sampleRate;
+    const sr = fileRate * teRateScale(analysis.timeExpansion);
+    const channels = decoded.numberOfChannels;
+    const length = decoded.length;
+    populateChannelOptions(channels);
+    const channel = (analysis.channel >= 1 && analysis.channel <= channels) ? analysis.channel : 0;
+    const mono = mixToMono(decoded, channel);
+
+    const N = analysis.fftSize; if ((N & (N - 1)) !== 0) throw new Error('FFT size must be a power of two');
+    const hop = Math.max(1, Math.round(N * (1 - analysis.overlap / 100)));
+    const framesPerSec = sr / hop;
+    const expectedFrames = Math.max(0, Math.floor((mono.length - N) / hop) + 1);
+    if (expectedFrames <= 0) { alert('Audio too short for FFT size'); return; }
+
+    const imageH = IMAGE_H;
+    const cssHeight = AXIS_TOP + imageH + AXIS_BOTTOM;
+    const tiles = [];
+    let imageW = 0;
+    let numFrames = 0;
+    // We'll draw tiles as they arrive; after the first one is painted dispatch completion
+    // and hide overlay immediately so UI can proceed.
+    let firstTilePainted = false;
+
+    const scale = readFreqScale();
+    globalThis._spectroSampleRate = sr; globalThis._spectroFFTSize = N; // the log scale floor is one bin of this analysis
+    globalThis._spectroFramesPerSec = framesPerSec; // PCEN smoothing is per frame
+    const render = makeRender(TILE_PXPF, imageH, cmap, scale, 0, sr / 2, sr / 2);
+    const band = { lo: 0, hi: sr / 2, scale };
+
+    // spectra from an earlier session skip the FFT pass; the decode above is still needed for playback
+    const spectraCache = globalThis._spectraCache;
+    const cacheKey = spectraCache ? spectraCache.cacheKey(fileIdOf(file), Object.assign({}, analysis, { channel: channel || 'mix', filter: cacheFilterKey(analysis) })) : null;
+    const cached = cacheKey ? await spectraCache.get(cacheKey) : null;
+    const useCached = !!cached && cached.sampleRate === fileRate && cached.length === length && cached.hop === hop && cached.bins === N / 2;
+    let computed = null;
+    const job = useCached
+      ? { type: 'load', spectraId, spectra: cached.spectra, numFrames: cached.numFrames, bins: cached.bins, topDB: cached.topDB, bottomDB: cached.bottomDB, render }
+      : { type: 'compute', spectraId, samples: mono, sampleRate: sr, fftSize: N, hop, window: analysis.window, filter: filterSections(analysis.filter, sr), render };
+
+    const finished = await runWorkerJob(job, [useCached ? job.spectra.buffer : mono.buffer], {
+      onProgress: showProgress,
+      onSpectra: (m) => {
+        numFrames = m.numFrames;
+
+        // update globals (authoritative) before any tile lands so overlays map correctly
+        globalThis._spectroTiles = tiles;
+        globalThis._spectroAudioBuffer = decoded;
+        globalThis._spectroAudioSource = null;
+        globalThis._spectroChannel = channel;
+        globalThis._spectroChannelCount = channels;
+        globalThis._spectroDuration = length / sr;
+        globalThis._spectroFramesPerSec = framesPerSec;
+        globalThis._spectroAxisLeft = globalThis._spectroAxisLeft || ((axisCanvas && typeof axisCanvas.clientWidth === 'number') ? Math.round(axisCanvas.clientWidth) : 70);
+        globalThis._spectroSampleRate = sr;
+        globalThis._spectroNumFrames = numFrames;
+        globalThis._spectroImageHeight = imageH;
+        applyDisplayZoom(clampZoom(zoom));
+        imageW = globalThis._spectroImageWidth;
+        globalThis._spectroBins = m.bins;
+        if (!useCached) computed = m;
+        globalThis._spectroFFTSize = N;
+        globalThis._spectroHop = hop;
+        globalThis._spectroWindow = analysis.window;
+        globalThis._spectroFilter = analysis.filter ? Object.assign({}, analysis.filter, { sections: filterSections(analysis.filter, sr) }) : null;
+        globalThis._spectroTimeExpansion = analysis.timeExpansion;
+        globalThis._spectroTopDB = m.topDB;
+        globalThis._spectroBottomDB = m.bottomDB;
+        globalThis._spectroDenom = (m.topDB - m.bottomDB) || 1e-6;
+        globalThis._spectroYMax = sr / 2;
+        globalThis._spectroYMin = 0;
+        globalThis._spectroFreqScale = scale;
+        globalThis._spectroPageCols = Math.max(1, Math.min(MAX_TILE_W, numFrames * TILE_PXPF));
+        globalThis._spectroPages = Math.ceil(numFrames * TILE_PXPF / globalThis._spectroPageCols);
+
+        if (scrollArea && scrollArea.style){ scrollArea.style.overflowX='auto'; scrollArea.style.overflowY='hidden'; scrollArea.style.whiteSpace='nowrap'; }
+        // tiles are painted at one column per frame and blitted, scaled by the zoom, into the viewport-wide canvas
+        beginVirtualView(imageW, cssHeight);
+        syncZoomSelect();
+        if (ymaxInput) ymaxInput.max = Math.round(sr / 1000);
+      },
+      onTile: (m) => {
+        const bitmap = tileDrawable(m);
+        const { startTime, endTime } = tileTimes(m.startCol, m.cols, TILE_PXPF, numFrames, framesPerSec);
+        tiles[m.index] = { bitmap, cols: m.cols, startCol: m.startCol, band, startTime, endTime };
+        blitVisible();
+
+        if (!firstTilePainted) {
+          firstTilePainted = true;
+          // visible content is now present; inform listeners and hide overlay immediately (defensive)
+          try {
+            const meta = { duration: (length / sr), pxPerSec: globalThis._spectroPxPerSec, imageHeight: imageH, sampleRate: sr, cmap: cmap, fileName: file.name };
+            try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta } })); } catch (e) {}
+          } catch (e) {}
+          try { window.__spectroWait && window.__spectroWait.hide(); } catch (e) {}
+        }
+      }
+    });
+    if (!finished) return;
+
+    // the spectra are back by now ('returned' precedes 'done'); the write is awaited so it has cloned
+    // them before a repaint lends them to the worker again
+    if (computed && cacheKey && globalThis._spectroSpectra) {
+      await spectraCache.put({
+        key: cacheKey, fileName: file.name, sampleRate: fileRate, length, numberOfChannels: channels, channel: channel || 'mix',
+        fftSize: N, hop, window: analysis.window, filter: filterKey(analysis.filter), bins: computed.bins, numFrames: computed.numFrames,
+        topDB: computed.topDB, bottomDB: computed.bottomDB, spectra: globalThis._spectroSpectra, savedAt: Date.now()
+      });
+    }
 
     alignCanvasLeft();
-    drawYAxis(sr, imageH, globalThis._spectroYMax);
+    drawYAxis(sr, imageH, globalThis._spectroYMax, scale);
     updateXTicksFromScroll();
 
     // Final dispatch/hide to cover any remaining edge cases
@@ -394,91 +1239,125 @@
     try { window.__spectroWait && window.__spectroWait.hide(); } catch (e) {}
   }
 
-  // re-render from spectra (ymax in Hz)
-  async function reRenderFromSpectra(ymax){
-    if (!globalThis._spectroSpectra) return;
-    const spectra = globalThis._spectroSpectra;
-    const bins = globalThis._spectroBins;
-    const N = globalThis._spectroFFTSize;
-    const top = globalThis._spectroTopDB;
-    const bottom = globalThis._spectroBottomDB;
-    const denom = globalThis._spectroDenom;
+  // re-render from spectra (ymax/ymin in Hz, the displayed band); the worker repaints from the lent spectra
+  async function reRenderFromSpectra(ymax, ymin){
+    if (!globalThis._spectroSpectra && !stream) return;
     const sr = globalThis._spectroSampleRate;
     const framesPerSec = globalThis._spectroFramesPerSec;
-    const pxpf = globalThis._spectroPxPerFrame;
-    const imageW = globalThis._spectroImageWidth;
     const imageH = globalThis._spectroImageHeight;
+    const numFrames = globalThis._spectroNumFrames;
+    const tiles = Array.isArray(globalThis._spectroTiles) ? globalThis._spectroTiles : [];
 
-    const dpr = window.devicePixelRatio || 1;
     const nyq = sr / 2;
     const ymaxClamped = Math.max(1, Math.min(nyq, Number(ymax) || nyq));
+    const yminClamped = Math.max(0, Math.min(ymaxClamped - 1, Number(ymin) || 0));
+    const scale = readFreqScale();
+
+    if (stream) {
+      // overlays map with the new band as soon as the repaint starts
+      globalThis._spectroYMax = ymaxClamped; globalThis._spectroYMin = yminClamped; globalThis._spectroFreqScale = scale;
+      if (!(await reRenderStream(ymaxClamped, yminClamped, scale))) return;
+      drawYAxis(sr, imageH, ymaxClamped, scale, yminClamped);
+      updateXTicksFromScroll();
+      try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { ymax: ymaxClamped, ymin: yminClamped } } })); } catch(e){}
+      try { window.__spectroWait && window.__spectroWait.hide(); } catch(e){}
+      return;
+    }
 
-    const lut = buildLUT(cmapSelect.value || 'custom');
-    const gain = Math.max(0.0001, parseFloat(gainInput && gainInput.value) || 1);
-
-    const MAX_TILE_W = 8192;
-    const effectiveTileW = Math.min(MAX_TILE_W, imageW);
+    const render = makeRender(TILE_PXPF, imageH, cmapSelect.value || 'custom', scale, yminClamped, ymaxClamped, nyq);
+    const band = { lo: yminClamped, hi: ymaxClamped, scale };
+    // the tiles still showing the old band are cropped to the new one until they are replaced
+    globalThis._spectroYMax = ymaxClamped; globalThis._spectroYMin = yminClamped; globalThis._spectroFreqScale = scale;
+    blitVisible();
 
     let firstTilePainted = false;
 
-    for (let tileX = 0, tileIndex = 0; tileX < imageW; tileX += effectiveTileW, tileIndex++){
-      const w = Math.min(effectiveTileW, imageW - tileX);
-      const tilePixels = new Uint8ClampedArray(w * imageH * 4);
-
-      for (let localX = 0; localX < w; localX++){
-        const globalX = tileX + localX;
-        const frameIdx = Math.floor(globalX / pxpf);
-        const baseFrame = Math.min(globalThis._spectroNumFrames - 1, Math.max(0, frameIdx));
-
-        for (let y = 0; y < imageH; y++){
-          const t = y / (imageH - 1);
-          const freq = (1 - t) * ymaxClamped;
-          const fracBin = (freq / nyq) * (bins - 1);
-          const fIdx = Math.floor(fracBin);
-          const fFrac = fracBin - fIdx;
-          const a = spectra[baseFrame * bins + Math.max(0, Math.min(bins-1, fIdx))];
-          const b = spectra[baseFrame * bins + Math.max(0, Math.min(bins-1, fIdx+1))];
-          const mag = a + (b - a) * fFrac;
-          const magAdj = mag * gain;
-          const db = 20 * (Math.log(magAdj + 1e-12) / Math.LN10);
-          let v = (db - bottom) / (denom || 1e-12);
-          if (!isFinite(v)) v = 0;
-          v = Math.max(0, Math.min(1, v));
-          const lutIdx = Math.round(v * 255) | 0;
-          const rgbBase = lutIdx * 3;
-          const idx = (y * w + localX) * 4;
-          tilePixels[idx] = lut[rgbBase];
-          tilePixels[idx+1] = lut[rgbBase+1];
-          tilePixels[idx+2] = lut[rgbBase+2];
-          tilePixels[idx+3] = 255;
-        }
-      }
-
-      try {
-        const tileImage = new ImageData(tilePixels, w, imageH);
-        ctx.putImageData(tileImage, tileX, AXIS_TOP);
+    const finished = await lendSpectra(render, {
+      onTile: (m) => {
+        const bitmap = tileDrawable(m);
+        const { startTime, endTime } = tileTimes(m.startCol, m.cols, TILE_PXPF, numFrames, framesPerSec);
+        releaseTile(tiles[m.index]);
+        tiles[m.index] = { bitmap, cols: m.cols, startCol: m.startCol, band, startTime, endTime };
+        blitVisible();
 
         if (!firstTilePainted) {
           firstTilePainted = true;
-          try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { ymax: ymaxClamped } } })); } catch(e){}
+          try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { ymax: ymaxClamped, ymin: yminClamped } } })); } catch(e){}
           try { window.__spectroWait && window.__spectroWait.hide(); } catch(e){}
         }
-      } catch(e){
-        console.error('paint tile failed', e);
       }
+    });
+    if (!finished) return;
 
-      if ((tileIndex & 1) === 0) await new Promise(r => setTimeout(r,0));
-    }
-
-    globalThis._spectroYMax = ymaxClamped;
     alignCanvasLeft();
-    drawYAxis(sr, imageH, ymaxClamped);
+    drawYAxis(sr, imageH, ymaxClamped, scale, yminClamped);
     updateXTicksFromScroll();
 
-    try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { ymax: ymaxClamped } } })); } catch(e){}
+    try { window.dispatchEvent(new CustomEvent('spectrogram-generated', { detail: { meta: { ymax: ymaxClamped, ymin: yminClamped } } })); } catch(e){}
     try { window.__spectroWait && window.__spectroWait.hide(); } catch(e){}
   }
 
+  // Off-screen render of a time/frequency region at a chosen size (figure export, figure_export.js).
+  // Decoded files are repainted by the worker from the lent spectra with the current colormap,
+  // gain, levels and display mode; streamed files only have their resident tiles, so the region is
+  // cropped from those at the displayed band, whatever opts.f0/f1 say (columns not loaded stay dark, partial: true).
+  // Resolves { canvas, t0, t1, f0, f1, partial } or null when superseded.
+  async function renderRegion(opts) {
+    const sr = globalThis._spectroSampleRate, fps = globalThis._spectroFramesPerSec, numFrames = globalThis._spectroNumFrames;
+    if (!sr || !fps || !numFrames || (!globalThis._spectroSpectra && !stream)) throw new Error('Generate a spectrogram first');
+    if (generating || workerJobs.size) throw new Error('The spectrogram is still rendering; try again when it has finished');
+    const duration = globalThis._spectroDuration || numFrames / fps;
+    const t0 = Math.max(0, Math.min(duration, Number(opts.t0) || 0));
+    const t1 = Math.max(t0 + 1 / fps, Math.min(duration, isFinite(opts.t1) ? Number(opts.t1) : duration));
+    const width = Math.max(1, Math.round(opts.width) || 1), height = Math.max(1, Math.round(opts.height) || IMAGE_H);
+    const out = document.createElement('canvas');
+    out.width = width; out.height = height;
+    const octx = out.getContext('2d', { alpha: false });
+    octx.fillStyle = '#111'; octx.fillRect(0, 0, width, height);
+    octx.imageSmoothingEnabled = true; octx.imageSmoothingQuality = 'high';
+
+    if (stream) {
+      const colsPerSec = effectivePxPerSec() / currentZoom(); // tile columns, not view pixels
+      const c0 = t0 * colsPerSec, c1 = t1 * colsPerSec, sx = width / Math.max(1, c1 - c0);
+      let partial = false;
+      for (let k = Math.floor(c0 / stream.chunkCols); k <= Math.min(stream.chunkCount - 1, Math.floor(c1 / stream.chunkCols)); k++) {
+        const e = stream.tiles[k];
+        if (!e || !e.bitmap) { partial = true; continue; }
+        octx.drawImage(e.bitmap, 0, 0, e.cols, e.bitmap.height || stream.imageH, (e.startCol - c0) * sx, 0, e.cols * sx, height);
+      }
+      return { canvas: out, t0, t1, f0: globalThis._spectroYMin || 0, f1: globalThis._spectroYMax || sr / 2, partial };
+    }
+
+    const nyq = sr / 2;
+    const f1 = Math.max(1, Math.min(nyq, isFinite(opts.f1) ? Number(opts.f1) : (globalThis._spectroYMax || nyq)));
+    const f0 = Math.max(0, Math.min(f1 - 1, isFinite(opts.f0) ? Number(opts.f0) : (globalThis._spectroYMin || 0)));
+    const frame0 = Math.max(0, Math.min(numFrames - 1, Math.floor(t0 * fps)));
+    const frame1 = Math.max(frame0 + 1, Math.min(numFrames, Math.ceil(t1 * fps)));
+    const cols = frame1 - frame0;
+    const render = Object.assign(makeRender(1, height, cmapSelect.value || 'custom', readFreqScale(), f0, f1, nyq), { frame0, frame1 });
+    const sx = width / cols;
+    generating = true;
+    try {
+      const finished = await lendSpectra(render, {
+        onTile: (m) => {
+          const bitmap = tileDrawable(m);
+          octx.drawImage(bitmap, m.startCol * sx, 0, m.cols * sx, height);
+          releaseTile({ bitmap });
+        }
+      });
+      return finished ? { canvas: out, t0: frame0 / fps, t1: frame1 / fps, f0, f1, partial: false } : null;
+    } finally {
+      generating = false;
+      if (liveApplyPending) { liveApplyPending = false; debouncedLiveApply(); }
+    }
+  }
+  globalThis._spectroFigure = {
+    renderRegion,
+    freqMap: (lo, hi) => makeFreqMap(readFreqScale(), lo, hi),
+    lut: () => buildLUT(cmapSelect.value || 'custom'),
+    levels: paintedLevels
+  };
+
   // reset playback helpers (pause/seek to 0) but we will align view to captured start time later
   function resetPlaybackState() {
     try {
@@ -502,55 +1381,50 @@
     } catch(e){ console.error('resetPlaybackState failed', e); }
   }
 
-  // scroll nudge helper (+0.5s, -0.5s, restore)
-  function scrollNudgeHalfSecond() {
-    if (!globalThis._spectroFramesPerSec || !globalThis._spectroPxPerFrame || !scrollArea) return;
-    const pxPerSec = Math.max(1, effectivePxPerSec());
-    const deltaPx = Math.round(0.5 * pxPerSec);
-    const vp = viewportWidthPx();
-    const maxScroll = Math.max(0, (globalThis._spectroImageWidth || 0) - vp);
-    const orig = Math.max(0, Math.min(maxScroll, (scrollArea.scrollLeft || 0)));
-    function setScroll(px) {
-      const clamped = Math.max(0, Math.min(maxScroll, Math.round(px)));
-      scrollArea.scrollLeft = clamped;
-      try { updateXTicksFromScroll(); } catch(e) {}
-      return clamped;
-    }
-    setScroll(orig + deltaPx);
-    requestAnimationFrame(() => {
-      setScroll(orig - deltaPx);
-      requestAnimationFrame(() => {
-        setScroll(orig);
-      });
-    });
-  }
-
-  // live colormap/gain apply (debounced)
+  // live colormap/gain/level apply (debounced). Always repaints from the real spectra; a change made while
+  // Generate is still computing is applied as soon as the spectra exist.
+  let generating = false;
+  let liveApplyPending = false;
   const debouncedLiveApply = debounce(async ()=>{
     try {
-      if (globalThis._spectroSpectra) {
+      if (generating) { liveApplyPending = true; return; }
+      if (globalThis._spectroSpectra || stream) {
         const lastY = (globalThis._spectroLastGen && isFinite(globalThis._spectroLastGen.ymax)) ? globalThis._spectroLastGen.ymax : globalThis._spectroYMax;
         const useY = isFinite(lastY) ? lastY : (globalThis._spectroSampleRate ? globalThis._spectroSampleRate/2 : 22050);
-        await reRenderFromSpectra(useY);
+        const useYmin = (globalThis._spectroLastGen && isFinite(globalThis._spectroLastGen.ymin)) ? globalThis._spectroLastGen.ymin : (globalThis._spectroYMin || 0);
+        await reRenderFromSpectra(useY, useYmin);
         updateXTicksFromScroll();
-        return;
       }
-      const placeholderW = Math.max(300, (scrollArea && scrollArea.clientWidth) ? scrollArea.clientWidth - 20 : 400);
-      const w = Math.min(placeholderW, 800);
-      const h = IMAGE_H;
-      const lut = buildLUT(cmapSelect.value || 'custom');
-      const gain = Math.max(0.0001, parseFloat(gainInput && gainInput.value) || 1);
-      const pixels = new Uint8ClampedArray(w * h * 4);
-      for (let x=0;x<w;x++){ const t=x/Math.max(1,w-1); for (let y=0;y<h;y++){ const vbase = 0.2 + 0.8*Math.pow(t,0.7)*(1 - y/Math.max(1,h-1)); let v=Math.max(0, Math.min(1, vbase * gain)); const idx=Math.round(v*255)|0; const rgbBase=idx*3; const pi=(y*w+x)*4; pixels[pi]=lut[rgbBase]; pixels[pi+1]=lut[rgbBase+1]; pixels[pi+2]=lut[rgbBase+2]; pixels[pi+3]=255; } }
-      const tileImage = new ImageData(pixels, w, h);
-      ctx.clearRect(0, AXIS_TOP, w, h);
-      ctx.putImageData(tileImage, 0, AXIS_TOP);
-      updateXTicksFromScroll();
+      // nothing generated yet: keep the empty placeholder, there is nothing real to preview
     } catch(e){ console.error('liveApply failed', e); }
   }, 150);
 
   if (cmapSelect) cmapSelect.addEventListener('change', ()=>debouncedLiveApply());
+  if (fscaleSelect) fscaleSelect.addEventListener('change', ()=>debouncedLiveApply());
   if (gainInput) { gainInput.addEventListener('input', ()=>{ updateGainLabel(); debouncedLiveApply(); }); gainInput.addEventListener('change', ()=>debouncedLiveApply()); }
+  if (dbFloorInput) dbFloorInput.addEventListener('input', ()=>debouncedLiveApply());
+  if (filterTypeSelect) { filterTypeSelect.addEventListener('change', updateFilterParamsVisibility); updateFilterParamsVisibility(); }
+  function updatePcenParamsVisibility() { if (pcenParams) pcenParams.style.display = (readDisplayMode() === 'pcen') ? '' : 'none'; }
+  if (displayModeSelect) { displayModeSelect.addEventListener('change', ()=>{ updatePcenParamsVisibility(); debouncedLiveApply(); }); updatePcenParamsVisibility(); }
+  [pcenTInput, pcenAlphaInput, pcenDeltaInput, pcenRInput].forEach(el => { if (el) el.addEventListener('input', ()=>debouncedLiveApply()); });
+  // take the noise profile from the annotation being edited (it should contain background noise only)
+  if (noiseFromSelBtn) noiseFromSelBtn.addEventListener('click', ()=>{
+    const id = globalThis._editAnnotations && typeof globalThis._editAnnotations.getEditingId === 'function' ? globalThis._editAnnotations.getEditingId() : null;
+    const all = globalThis._annotations && typeof globalThis._annotations.getAll === 'function' ? globalThis._annotations.getAll() : [];
+    const a = id ? all.find(x => x.id === id) : null;
+    if (!a) {
+      if (noiseSegment) { noiseSegment = null; noiseFromSelBtn.textContent = 'Noise: selection'; debouncedLiveApply(); return; }
+      alert('Select an annotation that covers background noise only (Edit mode), then press again.');
+      return;
+    }
+    noiseSegment = { begin: Math.min(a.beginTime, a.endTime), end: Math.max(a.beginTime, a.endTime) };
+    noiseFromSelBtn.textContent = 'Noise: ' + noiseSegment.begin.toFixed(1) + '–' + noiseSegment.end.toFixed(1) + 's (clear)';
+    if (displayModeSelect) displayModeSelect.value = 'denoise';
+    debouncedLiveApply();
+  });
+  if (dbCeilInput) dbCeilInput.addEventListener('input', ()=>debouncedLiveApply());
+  // the X zoom presets only rescale the view; the spectra stay as they are
+  if (xzoomSelect) xzoomSelect.addEventListener('change', ()=>{ if (xzoomSelect.value !== 'custom') setTimeZoom(readZoomSelect()); });
 
   // Generate handler: capture current left-edge time at press and after processing align that time to left edge
   if (goBtn) {
@@ -559,13 +1433,13 @@
       const f = fileInput && fileInput.files && fileInput.files[0];
       if (!f) { alert('Choose an audio file'); return; }
 
-      const fftSize = DEFAULT_FFT_SIZE;
-      const overlapFactor = 2;
-      const zoomVal = (xzoomSelect && xzoomSelect.value) ? xzoomSelect.value : '2';
-      const pxpf = Math.max(1, Math.min(4, parseInt(String(zoomVal).replace(/\D/g,''), 10) || 2));
+      const analysis = readAnalysisSettings();
+      const fftSize = analysis.fftSize;
+      const zoom = readZoomSelect();
       const cmap = cmapSelect.value || 'custom';
       const userYmaxHz = readUserYmaxHz();
-      const fileId = `${f.name}|${f.size}|${f.lastModified}`;
+      const userYminHz = readUserYminHz();
+      const fileId = fileIdOf(f);
 
       // Capture the currently visible left-edge time (the time at scrollLeft) at the moment Generate is pressed.
       const currentScrollPx = (scrollArea && typeof scrollArea.scrollLeft === 'number') ? scrollArea.scrollLeft : 0;
@@ -587,14 +1461,15 @@
       }
 
       const last = globalThis._spectroLastGen || {};
-      const needFullCompute = (last.fileId !== fileId) || (last.pxpf !== pxpf) || (last.fftSize !== fftSize);
+      const needFullCompute = (last.fileId !== fileId) || (last.fftSize !== fftSize) || (last.overlap !== analysis.overlap) || (last.window !== analysis.window) || (last.channel !== analysis.channel) || (last.filter !== filterKey(analysis.filter)) || (last.rateScale !== teRateScale(analysis.timeExpansion));
 
+      generating = true;
       try {
         if (needFullCompute) {
-          await processFile(f, fftSize, overlapFactor, pxpf, cmap);
+          await processFile(f, analysis, zoom, cmap);
 
           const generatedDefaultYmax = globalThis._spectroYMax || (globalThis._spectroSampleRate ? globalThis._spectroSampleRate/2 : null);
-          globalThis._spectroLastGen = { fileId, pxpf, sampleRate: globalThis._spectroSampleRate, numFrames: globalThis._spectroNumFrames, fftSize, ymax: generatedDefaultYmax };
+          globalThis._spectroLastGen = { fileId, sampleRate: globalThis._spectroSampleRate, numFrames: globalThis._spectroNumFrames, fftSize, overlap: analysis.overlap, window: analysis.window, channel: globalThis._spectroChannel || 'mix', filter: filterKey(analysis.filter), rateScale: teRateScale(analysis.timeExpansion), ymax: generatedDefaultYmax, ymin: 0 };
 
           if (ymaxInput && (ymaxInput.value == null || String(ymaxInput.value).trim() === '')) {
             try { ymaxInput.value = (Math.round((generatedDefaultYmax || 0) / 1000 * 100) / 100).toString(); } catch(e){}
@@ -603,58 +1478,60 @@
             if (ymaxInput) ymaxInput.max = Math.round((globalThis._spectroSampleRate || 0) / 1000);
           }
 
-          if (isFinite(userYmaxHz) && Math.abs(userYmaxHz - (generatedDefaultYmax || 0)) > 1) {
-            await reRenderFromSpectra(userYmaxHz);
-            globalThis._spectroLastGen.ymax = userYmaxHz;
+          const ymaxChanged = isFinite(userYmaxHz) && Math.abs(userYmaxHz - (generatedDefaultYmax || 0)) > 1;
+          if (ymaxChanged || userYminHz > 0) {
+            const useY = ymaxChanged ? userYmaxHz : generatedDefaultYmax;
+            await reRenderFromSpectra(useY, userYminHz);
+            globalThis._spectroLastGen.ymax = useY;
+            globalThis._spectroLastGen.ymin = globalThis._spectroYMin;
           }
 
           updateXTicksFromScroll();
 
-          if (last.pxpf !== pxpf) {
-            scrollNudgeHalfSecond();
-          }
-
-          alignCapturedTimeToLeft(capturedLeftTimeSec, pxpf);
+          alignCapturedTimeToLeft(capturedLeftTimeSec);
 
           resetPlaybackState();
         } else {
+          // a slow-playback factor changes nothing on screen
+          globalThis._spectroTimeExpansion = analysis.timeExpansion;
           const lastY = last.ymax;
           if (isFinite(userYmaxHz) && Math.abs(userYmaxHz - (lastY || 0)) > 1) {
-            await reRenderFromSpectra(userYmaxHz);
+            await reRenderFromSpectra(userYmaxHz, userYminHz);
             globalThis._spectroLastGen.ymax = userYmaxHz;
           } else {
             const useY = (isFinite(lastY) ? lastY : (globalThis._spectroYMax || (globalThis._spectroSampleRate ? globalThis._spectroSampleRate/2 : 22050)));
-            await reRenderFromSpectra(useY);
+            await reRenderFromSpectra(useY, userYminHz);
           }
+          globalThis._spectroLastGen.ymin = globalThis._spectroYMin;
 
           updateXTicksFromScroll();
 
-          if (last.pxpf !== pxpf) {
-            scrollNudgeHalfSecond();
-          }
-
-          alignCapturedTimeToLeft(capturedLeftTimeSec, pxpf);
+          alignCapturedTimeToLeft(capturedLeftTimeSec);
 
           resetPlaybackState();
 
           globalThis._spectroLastGen = Object.assign({}, globalThis._spectroLastGen, {
             sampleRate: globalThis._spectroSampleRate,
             numFrames: globalThis._spectroNumFrames,
-            fftSize
+            fftSize,
+            overlap: analysis.overlap,
+            window: analysis.window
           });
         }
       } catch (e) {
         console.error(e);
       } finally {
+        generating = false;
         // ensure overlay hidden if something unexpected skipped the generation path
         try { window.__spectroWait && window.__spectroWait.hide(); } catch (e) {}
         try { window.removeEventListener('spectrogram-generated', onceGen); } catch(e){}
+        if (liveApplyPending) { liveApplyPending = false; debouncedLiveApply(); }
       }
     });
   }
 
-  // Align a captured left-edge time (seconds) to the left edge using updated globals and pxpf
-  function alignCapturedTimeToLeft(capturedLeftTimeSec, newPxpf) {
+  // Align a captured left-edge time (seconds) to the left edge using updated globals
+  function alignCapturedTimeToLeft(capturedLeftTimeSec) {
     const pxPerSec = effectivePxPerSec();
     const imageW = globalThis._spectroImageWidth || 0;
     const vp = viewportWidthPx();
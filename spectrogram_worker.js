@@ -0,0 +1,336 @@
+// spectrogram_worker.js
+// Worker side of spectrogram.js: STFT (windowed radix-2 FFT) and dB-to-pixel tile painting.
+// The whole worker is one self-contained function so spectrogram.js can start it from a Blob URL
+// (new Worker('spectrogram_worker.js') is blocked when the page is opened from file://) or, where
+// Workers are unavailable, run the very same code in-thread behind a fake message port.
+//
+// Messages main -> worker:
+//   { type:'compute', id, spectraId, samples, sampleRate, fftSize, hop, window, filter, render }  STFT, then paint tiles
+//   { type:'render', id, spectraId, spectra, numFrames, bins, topDB, bottomDB, render }  repaint tiles from spectra
+//                                      computed earlier (transferred in, transferred back when the job ends)
+//   { type:'load', id, spectraId, spectra, numFrames, bins, topDB, bottomDB, render } like render, for spectra
+//                                      that are new to the page (e.g. from the IndexedDB cache); no FFT pass
+//   { type:'chunk', id, samples, sampleRate, fftSize, hop, window, filter, skip, levels, render } STFT of one
+//                                      slice of a streamed file and paint it as one tile; nothing is retained.
+//                                      levels = { topDB, bottomDB } fixed for the recording, or null to derive them
+//                                      from this one; skip = leading samples that only let the filter settle
+//   filter (optional) = [{ kind: 'highpass'|'lowpass', freq, q }] biquad sections run over the samples first
+//   { type:'cancel', id }                                               drop job id at its next yield
+// Messages worker -> main:
+//   { type:'progress', id, done, total }
+//   { type:'spectra', id, spectra, numFrames, bins, topDB, bottomDB }   the analysis; compute/load leave out spectra
+//                                      (they come back with 'returned'), chunk transfers its magnitudes
+//   { type:'returned', id, spectra }   after every compute/load/render job, however it ended: the spectra it
+//                                      painted from, transferred back (null when a compute never finished)
+//   { type:'tile', id, index, startCol, cols, rows, bitmap | pixels }
+//   { type:'done', id } | { type:'cancelled', id } | { type:'error', id, message }
+// A newer job always supersedes the one in flight. Nothing is retained between jobs: the page owns the
+// spectra of a decoded recording and lends them to each job that paints from them, so one copy exists.
+
+(function () {
+  globalThis._spectroWorkerMain = function spectroWorkerMain(scope) {
+    let activeId = 0;
+
+    const DR = 80;
+    const YIELD_MS = 40;
+    const NOISE_MAX_FRAMES = 2048; // frames sampled for a median noise profile
+    const GAUSSIAN_SIGMA = 0.4; // std-dev as a fraction of the half window
+    const KAISER_BETA = 8.6;
+
+    // zeroth-order modified Bessel function of the first kind (series), for the Kaiser window
+    function besselI0(x){ let sum=1, term=1; const q=x*x/4; for(let k=1;k<64;k++){ term*=q/(k*k); sum+=term; if(term<sum*1e-12) break; } return sum; }
+    function makeWindow(name, N){
+      const w=new Float32Array(N); const M=Math.max(1,N-1);
+      switch(name){
+        case 'hamming': for(let n=0;n<N;n++) w[n]=0.54-0.46*Math.cos(2*Math.PI*n/M); break;
+        case 'blackmanharris': for(let n=0;n<N;n++){ const x=2*Math.PI*n/M; w[n]=0.35875-0.48829*Math.cos(x)+0.14128*Math.cos(2*x)-0.01168*Math.cos(3*x); } break;
+        case 'gaussian': { const half=M/2; for(let n=0;n<N;n++){ const u=(n-half)/(GAUSSIAN_SIGMA*half); w[n]=Math.exp(-0.5*u*u); } break; }
+        case 'kaiser': { const d=besselI0(KAISER_BETA); for(let n=0;n<N;n++){ const r=2*n/M-1; w[n]=besselI0(KAISER_BETA*Math.sqrt(Math.max(0,1-r*r)))/d; } break; }
+        default: for(let n=0;n<N;n++) w[n]=0.5*(1-Math.cos(2*Math.PI*n/M));
+      }
+      return w;
+    }
+    function reverseBits(x,bits){ let y=0; for(let i=0;i<bits;i++){ y=(y<<1)|(x&1); x>>>=1; } return y; }
+    function fft(real, imag){
+      const n = real.length; const levels = Math.log2(n)|0; if((1<<levels)!==n) throw new Error('FFT must be power of two');
+      for(let i=0;i<n;i++){ const j=reverseBits(i,levels); if(j>i){ const tr=real[i], ti=imag[i]; real[i]=real[j]; imag[i]=imag[j]; real[j]=tr; imag[j]=ti; } }
+      for(let size=2; size<=n; size<<=1){
+        const half = size>>>1; const theta = -2*Math.PI/size; const wpr=Math.cos(theta), wpi=Math.sin(theta);
+        for(let i=0;i<n;i+=size){
+          let wr=1, wi=0;
+          for(let j=0;j<half;j++){
+            const k=i+j, l=k+half;
+            const tr = wr*real[l] - wi*imag[l];
+            const ti = wr*imag[l] + wi*real[l];
+            real[l] = real[k] - tr; imag[l] = imag[k] - ti;
+            real[k] += tr; imag[k] += ti;
+            const tmp = wr; wr = tmp*wpr - wi*wpi; wi = tmp*wpi + wi*wpr;
+          }
+        }
+      }
+    }
+
+    // RBJ cookbook high/low-pass biquad, normalised (a0 = 1)
+    function biquadCoeffs(kind, freq, q, fs) {
+      const w0 = 2 * Math.PI * freq / fs, cw = Math.cos(w0), alpha = Math.sin(w0) / (2 * q), a0 = 1 + alpha;
+      const b1 = kind === 'highpass' ? -(1 + cw) : (1 - cw);
+      const b0 = kind === 'highpass' ? (1 + cw) / 2 : (1 - cw) / 2;
+      return { b0: b0 / a0, b1: b1 / a0, b2: b0 / a0, a1: -2 * cw / a0, a2: (1 - alpha) / a0 };
+    }
+    // cascade of biquad sections over the samples, in place (transposed direct form II, double state)
+    function applyFilter(samples, sections, fs) {
+      for (const sec of sections) {
+        const c = biquadCoeffs(sec.kind, sec.freq, sec.q, fs);
+        let z1 = 0, z2 = 0;
+        for (let i = 0; i < samples.length; i++) {
+          const x = samples[i];
+          const y = c.b0 * x + z1;
+          z1 = c.b1 * x - c.a1 * y + z2;
+          z2 = c.b2 * x - c.a2 * y;
+          samples[i] = y;
+        }
+      }
+    }
+
+    function yieldNow() { return new Promise(r => setTimeout(r, 0)); }
+    function isStale(id) { return id !== activeId; }
+
+    // STFT into a frame-major Float32Array of linear magnitudes (frames * bins); null when superseded
+    async function stft(msg) {
+      const id = msg.id;
+      let samples = msg.samples;
+      if (msg.filter && msg.filter.length) applyFilter(samples, msg.filter, msg.sampleRate);
+      if (msg.skip > 0) samples = samples.subarray(msg.skip);
+      const N = msg.fftSize;
+      if (!N || (N & (N - 1)) !== 0) throw new Error('FFT size must be a power of two');
+      const hop = Math.max(1, msg.hop | 0);
+      const frames = Math.max(0, Math.floor((samples.length - N) / hop) + 1);
+      if (frames <= 0) throw new Error('Audio too short for FFT size');
+      const nb = N / 2;
+      const win = makeWindow(msg.window, N);
+      const out = new Float32Array(frames * nb);
+      const re = new Float32Array(N), im = new Float32Array(N);
+      let minMag = Infinity, maxMag = 0;
+      let lastYield = Date.now();
+
+      for (let fIdx = 0; fIdx < frames; fIdx++){
+        const off = fIdx * hop;
+        for (let n=0;n<N;n++){ const s = samples[off+n] || 0; re[n] = s * win[n]; im[n] = 0; }
+        fft(re, im);
+        const base = fIdx * nb;
+        for (let b=0;b<nb;b++){ const r=re[b], i=im[b]; const mag=Math.sqrt(r*r+i*i)/N; if(mag<minMag) minMag=mag; if(mag>maxMag) maxMag=mag; out[base + b] = mag; }
+        if ((fIdx & 63) === 0 && Date.now() - lastYield > YIELD_MS) {
+          scope.postMessage({ type: 'progress', id, done: fIdx, total: frames });
+          await yieldNow();
+          lastYield = Date.now();
+          if (isStale(id)) return false;
+        }
+      }
+
+      const minDB = 20 * Math.log10(minMag + 1e-12);
+      const maxDB = 20 * Math.log10(maxMag + 1e-12);
+      return { spectra: out, bins: nb, numFrames: frames, topDB: maxDB, bottomDB: Math.max(minDB, maxDB - DR) };
+    }
+
+    // the job's analysis, announced before any tile; the spectra themselves stay with the job (lent.spectra)
+    function announce(msg, src) {
+      scope.postMessage({ type: 'spectra', id: msg.id, numFrames: src.numFrames, bins: src.bins, topDB: src.topDB, bottomDB: src.bottomDB });
+    }
+
+    async function computeSpectra(msg, lent) {
+      const res = await stft(msg);
+      if (!res) return null;
+      lent.spectra = res.spectra;
+      announce(msg, res);
+      return Object.assign(res, { spectraId: msg.spectraId });
+    }
+
+    // spectra handed over with the job
+    function lentSpectra(msg, lent) {
+      lent.spectra = msg.spectra || null;
+      return { spectra: msg.spectra, bins: msg.bins, numFrames: msg.numFrames, topDB: msg.topDB, bottomDB: msg.bottomDB, spectraId: msg.spectraId };
+    }
+
+    async function computeChunk(msg) {
+      const res = await stft(msg);
+      if (!res) return false;
+      if (msg.levels) { res.topDB = msg.levels.topDB; res.bottomDB = msg.levels.bottomDB; }
+      // the magnitudes go back as a transfer (they are not kept here), so paint from a copy
+      const src = Object.assign({}, res, { spectra: res.spectra.slice() });
+      scope.postMessage({ type: 'spectra', id: msg.id, spectra: res.spectra, numFrames: res.numFrames, bins: res.bins, topDB: res.topDB, bottomDB: res.bottomDB }, [res.spectra.buffer]);
+      if (msg.spectraOnly) return true;
+      return paintTiles(msg.id, src, msg.render || {});
+    }
+
+    // image row -> interpolated bin pair. rowHz (Hz per row, top row first) comes from the main thread's
+    // frequency-scale mapping so tiles, axis and overlays share one linear/log/mel definition.
+    function buildRowMap(imageH, rowHz, nyq, bins) {
+      const lo = new Int32Array(imageH), hi = new Int32Array(imageH), frac = new Float32Array(imageH);
+      for (let y = 0; y < imageH; y++){
+        const freq = Math.max(0, Math.min(nyq, rowHz[y] || 0));
+        const fracBin = (freq / nyq) * (bins - 1);
+        const fIdx = Math.floor(fracBin);
+        lo[y] = Math.max(0, Math.min(bins-1, fIdx));
+        hi[y] = Math.max(0, Math.min(bins-1, fIdx+1));
+        frac[y] = fracBin - fIdx;
+      }
+      return { lo, hi, frac };
+    }
+
+    // per-bin noise profile: median magnitude over frames [frame0, frame1) (whole analysis when omitted),
+    // from at most NOISE_MAX_FRAMES evenly spaced frames. Cached per analysis (src.spectraId, as the lent
+    // array is a new object on every job) and range.
+    // range.profile (one value per bin) is a profile computed elsewhere, used as is (streamed chunks).
+    let noiseCache = { owner: null, key: '', profile: null };
+    function noiseProfile(src, range) {
+      if (range && range.profile && range.profile.length === src.bins) return range.profile;
+      const f0 = Math.max(0, Math.min(src.numFrames - 1, (range && isFinite(range.frame0)) ? range.frame0 | 0 : 0));
+      const f1 = Math.max(f0 + 1, Math.min(src.numFrames, (range && isFinite(range.frame1)) ? range.frame1 | 0 : src.numFrames));
+      const key = f0 + ':' + f1;
+      const owner = src.spectraId != null ? src.spectraId : src.spectra;
+      if (noiseCache.owner === owner && noiseCache.key === key) return noiseCache.profile;
+      const count = Math.min(NOISE_MAX_FRAMES, f1 - f0);
+      const step = (f1 - f0) / count;
+      const bins = src.bins;
+      const profile = new Float32Array(bins);
+      const col = new Float32Array(count);
+      for (let b = 0; b < bins; b++) {
+        for (let i = 0; i < count; i++) col[i] = src.spectra[(f0 + Math.floor(i * step)) * bins + b];
+        col.sort();
+        profile[b] = col[count >> 1];
+      }
+      noiseCache = { owner, key, profile };
+      return profile;
+    }
+
+    async function postTile(id, index, startCol, cols, rows, pixels) {
+      let bitmap = null;
+      if (typeof createImageBitmap === 'function' && typeof ImageData === 'function') {
+        try { bitmap = await createImageBitmap(new ImageData(pixels, cols, rows)); } catch (e) { bitmap = null; }
+      }
+      if (isStale(id)) { if (bitmap && bitmap.close) bitmap.close(); return; }
+      if (bitmap) scope.postMessage({ type: 'tile', id, index, startCol, cols, rows, bitmap }, [bitmap]);
+      else scope.postMessage({ type: 'tile', id, index, startCol, cols, rows, pixels }, [pixels.buffer]);
+    }
+
+    // paint tiles left to right; src = { spectra, bins, numFrames, topDB, bottomDB },
+    // r = { pxpf, imageH, tileW, lut, gain, rowHz, nyq, floorDB, ceilDB, denoise }; floor/ceiling are dB relative
+    // to the analysis peak (topDB) and replace the default DR-below-peak range when given. denoise
+    // ({ frame0, frame1 }, { profile } or {} for the whole analysis) subtracts a median noise profile before the dB mapping.
+    // pcen ({ s, alpha, delta, r, eps, inputScale, fullScale }) replaces the dB mapping with per-channel energy
+    // normalization (inputScale scales magnitudes to the units its parameters assume, fullScale is the top of the colormap);
+    // its smoother runs along each image row, frame by frame, so it carries over from tile to tile.
+    // frame0/frame1 restrict painting to frames [frame0, frame1) (figure export); columns then start at frame0.
+    async function paintTiles(id, src, r) {
+      const { spectra, bins, numFrames, topDB, bottomDB } = src;
+      if (!spectra) throw new Error('No spectra to render');
+      const pxpf = Math.max(1, r.pxpf | 0);
+      const imageH = Math.max(1, r.imageH | 0);
+      const frame0 = Math.max(0, Math.min(numFrames - 1, (r.frame0 | 0) || 0));
+      const frame1 = Math.max(frame0 + 1, Math.min(numFrames, isFinite(r.frame1) ? (r.frame1 | 0) : numFrames));
+      const imageW = Math.max(1, (frame1 - frame0) * pxpf);
+      const tileW = Math.min(Math.max(1, r.tileW | 0), imageW);
+      const lut = r.lut;
+      const gain = Math.max(0.0001, Number(r.gain) || 1);
+      const nyq = r.nyq;
+      const top = isFinite(r.ceilDB) ? topDB + Number(r.ceilDB) : topDB;
+      const bottom = isFinite(r.floorDB) ? Math.min(top - 1, topDB + Number(r.floorDB)) : bottomDB;
+      const denom = (top - bottom) || 1e-6;
+      if (!r.rowHz || r.rowHz.length !== imageH) throw new Error('Row map does not match image height');
+      const rows = buildRowMap(imageH, r.rowHz, nyq, bins);
+      const col = new Uint8ClampedArray(imageH * 3);
+      let rowNoise = null;
+      if (r.denoise) {
+        const profile = noiseProfile(src, r.denoise);
+        rowNoise = new Float32Array(imageH);
+        for (let y = 0; y < imageH; y++) { const a = profile[rows.lo[y]], b = profile[rows.hi[y]]; rowNoise[y] = a + (b - a) * rows.frac[y]; }
+      }
+      const pcen = r.pcen || null;
+      const pcenM = pcen ? new Float32Array(imageH).fill(-1) : null; // -1: start from the first frame's energy
+      const pcenIn = pcen ? 2 * bins * pcen.inputScale : 0; // undo the 1/N magnitude scaling
+      const pcenDeltaR = pcen ? Math.pow(pcen.delta, pcen.r) : 0;
+
+      for (let tileX = 0, tileIndex = 0; tileX < imageW; tileX += tileW, tileIndex++){
+        const w = Math.min(tileW, imageW - tileX);
+        const tilePixels = new Uint8ClampedArray(w * imageH * 4);
+        let colFrame = -1;
+
+        for (let localX = 0; localX < w; localX++){
+          const frameIdx = Math.min(frame1 - 1, Math.max(frame0, frame0 + Math.floor((tileX + localX) / pxpf)));
+          if (frameIdx !== colFrame) {
+            // one column per frame; neighbouring pixels of the same frame reuse it
+            colFrame = frameIdx;
+            const base = frameIdx * bins;
+            for (let y = 0; y < imageH; y++){
+              const a = spectra[base + rows.lo[y]];
+              const b = spectra[base + rows.hi[y]];
+              let mag = a + (b - a) * rows.frac[y];
+              if (rowNoise) mag = Math.max(0, mag - rowNoise[y]);
+              let v;
+              if (pcen) {
+                const e = mag * pcenIn;
+                pcenM[y] = (pcenM[y] < 0) ? e : (1 - pcen.s) * pcenM[y] + pcen.s * e;
+                v = (Math.pow(e / Math.pow(pcen.eps + pcenM[y], pcen.alpha) + pcen.delta, pcen.r) - pcenDeltaR) * gain / pcen.fullScale;
+              } else {
+                const db = 20 * Math.log10(mag * gain + 1e-12);
+                v = (db - bottom) / denom;
+              }
+              if (!isFinite(v)) v = 0;
+              v = Math.max(0, Math.min(1, v));
+              const rgbBase = (Math.round(v * 255) | 0) * 3;
+              col[y*3] = lut[rgbBase]; col[y*3+1] = lut[rgbBase+1]; col[y*3+2] = lut[rgbBase+2];
+            }
+          }
+          for (let y = 0; y < imageH; y++){
+            const idx = (y * w + localX) * 4;
+            tilePixels[idx] = col[y*3]; tilePixels[idx+1] = col[y*3+1]; tilePixels[idx+2] = col[y*3+2]; tilePixels[idx+3] = 255;
+          }
+        }
+
+        await postTile(id, tileIndex, tileX, w, imageH, tilePixels);
+        await yieldNow();
+        if (isStale(id)) return false;
+      }
+      return true;
+    }
+
+    // lent = { spectra } the job paints from, handed back by onmessage when it ends
+    async function run(msg, lent) {
+      if (msg.type === 'compute') {
+        const src = await computeSpectra(msg, lent);
+        if (!src) return false;
+        return paintTiles(msg.id, src, msg.render || {});
+      }
+      if (msg.type === 'render') return paintTiles(msg.id, lentSpectra(msg, lent), msg.render || {});
+      if (msg.type === 'load') {
+        const src = lentSpectra(msg, lent);
+        announce(msg, src);
+        return paintTiles(msg.id, src, msg.render || {});
+      }
+      if (msg.type === 'chunk') return computeChunk(msg);
+      throw new Error('Unknown job type: ' + msg.type);
+    }
+
+    const LENDING_JOBS = ['compute', 'render', 'load'];
+    function giveBack(msg, lent) {
+      if (LENDING_JOBS.indexOf(msg.type) < 0) return;
+      const sp = lent.spectra;
+      lent.spectra = null;
+      scope.postMessage({ type: 'returned', id: msg.id, spectra: sp }, sp ? [sp.buffer] : []);
+    }
+
+    scope.onmessage = function (ev) {
+      const msg = (ev && ev.data) || {};
+      if (msg.type === 'cancel') { if (msg.id === activeId) activeId = 0; return; }
+      activeId = msg.id;
+      const lent = { spectra: null };
+      run(msg, lent).then((ok) => {
+        giveBack(msg, lent);
+        scope.postMessage({ type: ok ? 'done' : 'cancelled', id: msg.id });
+      }).catch((err) => {
+        giveBack(msg, lent);
+        scope.postMessage({ type: 'error', id: msg.id, message: (err && err.message) ? err.message : String(err) });
+      });
+    };
+  };
+})();
@@ -0,0 +1,213 @@
+// spectrum_slice.js
+// Side panel plotting the power spectrum (dB vs Hz) of the frame under the cursor, read from the
+// retained magnitudes through _spectroSpectraStore (works for decoded and streamed recordings).
+// The strongest bin in the displayed band is marked, refined by parabolic interpolation, so
+// dominant frequencies and harmonics can be read off precisely.
+// Shift-click on the spectrogram freezes the slice at that time; shift-click again moves it,
+// and the panel's Unfreeze button (or Escape) returns to following the cursor.
+
+(function () {
+  if (!window || !document) return;
+
+  const panel = document.getElementById('slicePanel');
+  const canvas = document.getElementById('sliceCanvas');
+  const title = document.getElementById('sliceTitle');
+  const unfreezeBtn = document.getElementById('sliceUnfreeze');
+  const scrollArea = document.getElementById('scrollArea');
+  const spectrogramCanvas = document.getElementById('spectrogramCanvas');
+  if (!panel || !canvas || !scrollArea || !spectrogramCanvas) return;
+
+  const ctx = canvas.getContext('2d', { alpha: false });
+  const dpr = window.devicePixelRatio || 1;
+  const PAD = { left: 40, right: 8, top: 8, bottom: 26 };
+  const LINE_COLOR = '#7fd3ff';
+  const PEAK_COLOR = '#ffcc33';
+
+  let hoverSec = null;   // time under the cursor, null when outside the spectrogram
+  let frozenSec = null;  // time of a frozen slice, null while following the cursor
+  let rafId = 0;
+
+  function formatFreq(hz) { return hz >= 1000 ? (hz / 1000).toFixed(hz >= 10000 ? 1 : 2) + ' kHz' : Math.round(hz) + ' Hz'; }
+  function formatTime(sec) { return sec.toFixed(3) + ' s'; }
+
+  function insideSpectrogram(ev) {
+    const r = scrollArea.getBoundingClientRect();
+    const c = spectrogramCanvas.getBoundingClientRect();
+    return ev.clientX >= r.left && ev.clientX < r.right && ev.clientY >= c.top && ev.clientY < c.bottom;
+  }
+
+  function clientToSec(clientX) {
+    const pxPerSec = (globalThis._spectroMap && typeof globalThis._spectroMap.pxPerSec === 'function')
+      ? globalThis._spectroMap.pxPerSec()
+      : (globalThis._spectroPxPerSec || 1);
+    const localX = clientX - scrollArea.getBoundingClientRect().left;
+    const sec = (Math.round(scrollArea.scrollLeft || 0) + localX) / Math.max(1e-9, pxPerSec);
+    return Math.max(0, Math.min(globalThis._spectroDuration || 0, sec));
+  }
+
+  // frame spectrum in dB, or null when nothing is analysed (or a streamed chunk is not resident)
+  function sliceAt(sec) {
+    const store = globalThis._spectroSpectraStore;
+    const fps = globalThis._spectroFramesPerSec || 0;
+    if (!store || !fps) return null;
+    const n = store.numFrames();
+    if (!n) return null;
+    const frame = Math.max(0, Math.min(n - 1, Math.floor(sec * fps)));
+    const mags = store.getFrame(frame);
+    if (!mags) return { frame, db: null };
+    const db = new Float32Array(mags.length);
+    for (let k = 0; k < mags.length; k++) db[k] = 20 * Math.log10(mags[k] + 1e-12);
+    return { frame, db };
+  }
+
+  // strongest bin between loHz and hiHz, with parabolic (dB) interpolation between neighbours
+  function findPeak(db, binHz, loHz, hiHz) {
+    const k0 = Math.max(0, Math.ceil(loHz / binHz)), k1 = Math.min(db.length - 1, Math.floor(hiHz / binHz));
+    let best = -1;
+    for (let k = k0; k <= k1; k++) if (best < 0 || db[k] > db[best]) best = k;
+    if (best < 0) return null;
+    let offset = 0, level = db[best];
+    if (best > 0 && best < db.length - 1) {
+      const a = db[best - 1], b = db[best], c = db[best + 1];
+      const denom = a - 2 * b + c;
+      if (denom < 0) { offset = 0.5 * (a - c) / denom; level = b - 0.25 * (a - c) * offset; }
+    }
+    return { hz: (best + offset) * binHz, db: level };
+  }
+
+  function resizeCanvas() {
+    const w = Math.max(1, canvas.clientWidth), h = Math.max(1, canvas.clientHeight);
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr); canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return { w, h };
+  }
+
+  function drawMessage(w, h, text) {
+    ctx.fillStyle = '#888';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, w / 2, h / 2);
+  }
+
+  function draw() {
+    rafId = 0;
+    const { w, h } = resizeCanvas();
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, w, h);
+    if (unfreezeBtn) unfreezeBtn.disabled = frozenSec == null;
+
+    const sec = frozenSec != null ? frozenSec : hoverSec;
+    const sr = globalThis._spectroSampleRate || 0;
+    const slice = (sec != null && sr) ? sliceAt(sec) : null;
+    if (title) title.textContent = (sec != null && slice) ? ((frozenSec != null ? 'Frozen at ' : 'Spectrum at ') + formatTime(sec)) : 'Spectrum';
+    if (!slice) { drawMessage(w, h, 'Hover the spectrogram'); return; }
+    if (!slice.db) { drawMessage(w, h, 'Frame not loaded'); return; }
+
+    const db = slice.db;
+    const binHz = sr / (2 * db.length);
+    const loHz = Math.max(0, globalThis._spectroYMin || 0);
+    const hiHz = Math.max(loHz + binHz, globalThis._spectroYMax || sr / 2);
+    const peak = findPeak(db, binHz, loHz, hiHz);
+    const top = Math.ceil(((peak ? peak.db : 0) + 3) / 10) * 10;
+    const bottom = top + (typeof globalThis._spectroFloorDB === 'number' ? globalThis._spectroFloorDB : -80);
+
+    const plotW = Math.max(1, w - PAD.left - PAD.right), plotH = Math.max(1, h - PAD.top - PAD.bottom);
+    const xOf = (hz) => PAD.left + (hz - loHz) / (hiHz - loHz) * plotW;
+    const yOf = (v) => PAD.top + (1 - (Math.max(bottom, Math.min(top, v)) - bottom) / (top - bottom)) * plotH;
+
+    // grid + axes
+    ctx.font = '10px sans-serif';
+    ctx.fillStyle = '#bbb';
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let v = top; v >= bottom; v -= 20) {
+      const y = Math.round(yOf(v)) + 0.5;
+      ctx.beginPath(); ctx.moveTo(PAD.left, y); ctx.lineTo(PAD.left + plotW, y); ctx.stroke();
+      ctx.fillText(v + ' dB', PAD.left - 3, y);
+    }
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 4; i++) {
+      const hz = loHz + (hiHz - loHz) * i / 4;
+      const x = Math.round(xOf(hz)) + 0.5;
+      ctx.beginPath(); ctx.moveTo(x, PAD.top); ctx.lineTo(x, PAD.top + plotH); ctx.stroke();
+      ctx.fillText(formatFreq(hz), Math.max(PAD.left + 12, Math.min(w - 20, x)), PAD.top + plotH + 4);
+    }
+
+    // spectrum over the displayed band
+    ctx.save();
+    ctx.beginPath(); ctx.rect(PAD.left, PAD.top, plotW, plotH); ctx.clip();
+    ctx.strokeStyle = LINE_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    const k0 = Math.max(0, Math.floor(loHz / binHz)), k1 = Math.min(db.length - 1, Math.ceil(hiHz / binHz));
+    let started = false;
+    for (let k = k0; k <= k1; k++) {
+      const x = xOf(k * binHz), y = yOf(db[k]);
+      if (!started) { ctx.moveTo(x, y); started = true; } else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    if (peak) {
+      const x = Math.round(xOf(peak.hz)) + 0.5;
+      ctx.strokeStyle = PEAK_COLOR;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath(); ctx.moveTo(x, PAD.top); ctx.lineTo(x, PAD.top + plotH); ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = PEAK_COLOR;
+      ctx.beginPath(); ctx.arc(x, yOf(peak.db), 3, 0, Math.PI * 2); ctx.fill();
+      ctx.font = '11px sans-serif';
+      ctx.textBaseline = 'top';
+      const label = 'peak ' + formatFreq(peak.hz) + ', ' + peak.db.toFixed(1) + ' dB';
+      ctx.textAlign = (x > PAD.left + plotW / 2) ? 'right' : 'left';
+      ctx.fillText(label, x + (ctx.textAlign === 'right' ? -5 : 5), PAD.top + 2);
+    }
+    ctx.restore();
+  }
+
+  function scheduleDraw() {
+    if (rafId) return;
+    rafId = requestAnimationFrame(draw);
+  }
+
+  // window-level listeners: edit mode puts a pointer layer over the canvas
+  window.addEventListener('pointermove', (ev) => {
+    const next = insideSpectrogram(ev) ? clientToSec(ev.clientX) : null;
+    if (next === hoverSec) return;
+    hoverSec = next;
+    if (frozenSec == null) scheduleDraw();
+  }, { passive: true });
+
+  // capture phase so a shift-click freezes the slice instead of starting an annotation box
+  window.addEventListener('pointerdown', (ev) => {
+    if (!ev.shiftKey || ev.button !== 0 || !insideSpectrogram(ev) || !globalThis._spectroSpectraStore) return;
+    frozenSec = clientToSec(ev.clientX);
+    ev.preventDefault();
+    ev.stopPropagation();
+    scheduleDraw();
+  }, { capture: true, passive: false });
+
+  function unfreeze() { if (frozenSec == null) return; frozenSec = null; scheduleDraw(); }
+  if (unfreezeBtn) unfreezeBtn.addEventListener('click', unfreeze);
+  window.addEventListener('keydown', (ev) => {
+    if (frozenSec == null) return;
+    if (globalThis._keymap ? !globalThis._keymap.matches(ev, 'cancel') : ev.key !== 'Escape') return;
+    const t = ev.target;
+    if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+    unfreeze();
+  });
+
+  window.addEventListener('spectrogram-generated', scheduleDraw);
+  window.addEventListener('resize', scheduleDraw, { passive: true });
+
+  globalThis._spectrumSlice = {
+    freezeAt: (sec) => { frozenSec = Math.max(0, Number(sec) || 0); scheduleDraw(); },
+    unfreeze,
+    isFrozen: () => frozenSec != null
+  };
+  scheduleDraw();
+})();
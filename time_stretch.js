@@ -0,0 +1,96 @@
+// time_stretch.js
+// Pitch-preserving time stretch for slowed-down (or sped-up) listening in playback.js.
+// WSOLA: Hann-windowed frames are taken from the input every speed x HOP samples and overlap-added
+// every HOP samples; each frame is shifted by up to TOLERANCE of a window so its start lines up with
+// the natural continuation of the previous frame, which keeps tonal calls free of phasing.
+// create(sampleRate, channels, speed) returns a streaming stretcher: process(decoded, final) takes the next
+// consecutive AudioBuffer-shaped block of input and returns the output produced so far in the same shape
+// (possibly empty); pass final = true with the last block to flush. Output length ~ input length / speed.
+
+(function () {
+  const WINDOW_SEC = 0.046;       // ~2048 samples at 44.1 kHz
+  const TOLERANCE = 1 / 8;        // of the window, either side of the nominal frame position
+  const MATCH_POINTS = 128;       // samples compared per candidate position
+  const COARSE_CANDIDATES = 32;   // per side before the single-sample refinement
+
+  function create(sampleRate, channels, speed) {
+    const N = Math.max(64, 2 * Math.round(WINDOW_SEC * sampleRate / 2));
+    const hop = N / 2;
+    const tol = Math.floor(N * TOLERANCE);
+    const win = new Float32Array(N);
+    for (let i = 0; i < N; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / N); // periodic: halves sum to 1
+    const stride = Math.max(1, Math.floor(hop / MATCH_POINTS));
+    const coarse = Math.max(1, Math.floor(tol / COARSE_CANDIDATES));
+
+    let input = [];               // per channel, samples from inStart on
+    let inStart = 0;              // stream index of input[c][0]
+    let pos = 0;                  // nominal position of the next frame (stream index, fractional)
+    let prev = -1;                // position actually used for the previous frame
+    let tail = [];                // per channel, the second half of the previous windowed frame
+    for (let c = 0; c < channels; c++) { input.push(new Float32Array(0)); tail.push(new Float32Array(hop)); }
+
+    function append(decoded) {
+      input = input.map((buf, c) => {
+        const add = decoded.getChannelData(Math.min(c, decoded.numberOfChannels - 1));
+        const out = new Float32Array(buf.length + add.length);
+        out.set(buf); out.set(add, buf.length);
+        return out;
+      });
+    }
+    function sample(ch, i) { const k = i - inStart; return (k >= 0 && k < ch.length) ? ch[k] : 0; }
+
+    // candidate in [lo, hi] whose first half best matches the continuation of the previous frame
+    function bestPosition(lo, hi) {
+      if (prev < 0) return Math.round(pos);
+      const ref = input[0], target = prev + hop;
+      const score = (p) => { let s = 0; for (let k = 0; k < hop; k += stride) s += sample(ref, target + k) * sample(ref, p + k); return s; };
+      let best = Math.round(pos), bestScore = -Infinity;
+      for (let p = lo; p <= hi; p += coarse) { const s = score(p); if (s > bestScore) { bestScore = s; best = p; } }
+      const c0 = best;
+      for (let p = Math.max(lo, c0 - coarse + 1); p <= Math.min(hi, c0 + coarse - 1); p++) { const s = score(p); if (s > bestScore) { bestScore = s; best = p; } }
+      return best;
+    }
+
+    function process(decoded, final) {
+      if (decoded && decoded.length) append(decoded);
+      const inEnd = inStart + input[0].length;
+      const blocks = [];
+      while (true) {
+        const nominal = Math.round(pos);
+        if (nominal >= inEnd) break;
+        if (!final && nominal + tol + N > inEnd) break;
+        const p = bestPosition(Math.max(0, nominal - tol), nominal + tol);
+        const block = [];
+        for (let c = 0; c < channels; c++) {
+          const ch = input[c], out = new Float32Array(hop), t = tail[c];
+          for (let k = 0; k < hop; k++) {
+            out[k] = t[k] + sample(ch, p + k) * win[k];
+            t[k] = sample(ch, p + hop + k) * win[hop + k];
+          }
+          block.push(out);
+        }
+        blocks.push(block);
+        prev = p;
+        pos += hop * speed;
+      }
+      if (final) blocks.push(tail.map(t => t.slice()));
+
+      // drop input no later frame or match can reach
+      const keepFrom = Math.max(inStart, Math.min(Math.round(pos) - tol, prev + hop) - 1);
+      if (keepFrom > inStart) { input = input.map(buf => buf.slice(keepFrom - inStart)); inStart = keepFrom; }
+
+      const length = blocks.length * hop;
+      const data = [];
+      for (let c = 0; c < channels; c++) {
+        const out = new Float32Array(length);
+        blocks.forEach((b, i) => out.set(b[c], i * hop));
+        data.push(out);
+      }
+      return { sampleRate, numberOfChannels: channels, length, duration: length / sampleRate, getChannelData: (c) => data[c] };
+    }
+
+    return { process, windowSize: N };
+  }
+
+  globalThis._timeStretch = { create };
+})();
@@ -0,0 +1,220 @@
+// wav_decoder.js
+// Native-rate WAV parser for spectrogram.js. AudioContext.decodeAudioData resamples to the
+// context rate (44.1/48 kHz), which discards ultrasonic content from 192-384 kHz recordings,
+// so uncompressed RIFF/RF64 WAV (integer PCM 8/16/24/32-bit, IEEE float 32/64-bit,
+// WAVE_FORMAT_EXTENSIBLE) is decoded here at the file's own rate and bit depth.
+// decode() returns null for anything else (compressed WAV, MP3, FLAC, ...) so the caller falls
+// back to decodeAudioData.
+//
+// The result is AudioBuffer-shaped: { sampleRate, numberOfChannels, length, duration,
+// bitsPerSample, formatTag, getChannelData(c) }. toAudioBuffer(ctx, decoded) turns it into a
+// real AudioBuffer for playback (resampled to the context rate only if the browser refuses the
+// native rate).
+// For recordings too long to hold in memory, readHeader(file) parses only the head of the File and
+// readFrames(file, header, start, count) decodes a sample range from a file.slice(), so callers can
+// stream hours of audio in pieces.
+
+(function () {
+  const FORMAT_PCM = 1;
+  const FORMAT_FLOAT = 3;
+  const FORMAT_EXTENSIBLE = 0xFFFE;
+  const HEADER_MAX_BYTES = 16 * 1024 * 1024;
+
+  function fourCC(view, off) {
+    return String.fromCharCode(view.getUint8(off), view.getUint8(off + 1), view.getUint8(off + 2), view.getUint8(off + 3));
+  }
+
+  // 64-bit little-endian size (RF64 ds64 chunk); exact up to 2^53
+  function readUint64(view, off) {
+    return view.getUint32(off, true) + view.getUint32(off + 4, true) * 4294967296;
+  }
+
+  function isWav(arrayBuffer) {
+    if (!arrayBuffer || arrayBuffer.byteLength < 12) return false;
+    const view = new DataView(arrayBuffer);
+    const id = fourCC(view, 0);
+    return (id === 'RIFF' || id === 'RF64') && fourCC(view, 8) === 'WAVE';
+  }
+
+  // walk the chunk list; returns { fmt, dataOffset, dataSize } or null.
+  // arrayBuffer may be just the head of a file whose full size is fileSize.
+  function readChunks(arrayBuffer, fileSize) {
+    const view = new DataView(arrayBuffer);
+    const avail = arrayBuffer.byteLength;
+    const total = Math.max(avail, fileSize || 0);
+    const isRF64 = fourCC(view, 0) === 'RF64';
+    let ds64DataSize = null;
+    let fmt = null;
+    let dataOffset = -1, dataSize = 0;
+    let off = 12;
+
+    while (off + 8 <= avail) {
+      const id = fourCC(view, off);
+      let size = view.getUint32(off + 4, true);
+      const body = off + 8;
+
+      if (id !== 'data' && body + size > avail) break; // header chunk runs past what was read
+
+      if (id === 'ds64' && size >= 24) {
+        ds64DataSize = readUint64(view, body + 8);
+      } else if (id === 'fmt ' && size >= 16) {
+        fmt = {
+          formatTag: view.getUint16(body, true),
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          blockAlign: view.getUint16(body + 12, true),
+          bitsPerSample: view.getUint16(body + 14, true)
+        };
+        // WAVE_FORMAT_EXTENSIBLE: the real format is the first two bytes of the sub-format GUID
+        if (fmt.formatTag === FORMAT_EXTENSIBLE && size >= 40) {
+          fmt.validBits = view.getUint16(body + 18, true);
+          fmt.formatTag = view.getUint16(body + 24, true);
+        }
+      } else if (id === 'data') {
+        if (isRF64 && size === 0xFFFFFFFF && ds64DataSize != null) size = ds64DataSize;
+        dataOffset = body;
+        // recorders that were stopped mid-write leave a data size past the end of the file
+        dataSize = Math.min(size, total - body);
+        break;
+      }
+
+      if (size === 0xFFFFFFFF) break; // unknown RF64 placeholder on a non-data chunk
+      off = body + size + (size & 1);
+    }
+
+    if (!fmt || dataOffset < 0) return null;
+    return { fmt, dataOffset, dataSize };
+  }
+
+  // header for the formats decoded here, or null (compressed / unknown)
+  function parseHeader(arrayBuffer, fileSize) {
+    if (!isWav(arrayBuffer)) return null;
+    const info = readChunks(arrayBuffer, fileSize);
+    if (!info) return null;
+    const { fmt, dataOffset, dataSize } = info;
+    const bits = fmt.bitsPerSample;
+    const isFloat = fmt.formatTag === FORMAT_FLOAT && (bits === 32 || bits === 64);
+    const isInt = fmt.formatTag === FORMAT_PCM && (bits === 8 || bits === 16 || bits === 24 || bits === 32);
+    if (!isFloat && !isInt) return null;
+    if (!fmt.channels || !fmt.sampleRate) return null;
+    const blockAlign = fmt.blockAlign || (bits / 8 * fmt.channels);
+    const length = Math.floor(dataSize / blockAlign);
+    return {
+      sampleRate: fmt.sampleRate,
+      numberOfChannels: fmt.channels,
+      length,
+      duration: length / fmt.sampleRate,
+      bitsPerSample: bits,
+      formatTag: fmt.formatTag,
+      blockAlign,
+      dataOffset
+    };
+  }
+
+  function decode(arrayBuffer) {
+    const header = parseHeader(arrayBuffer);
+    if (!header) return null;
+    const view = new DataView(arrayBuffer, header.dataOffset, header.length * header.blockAlign);
+    return decodeFrames(view, header, header.length);
+  }
+
+  // interleaved sample bytes in view -> AudioBuffer-shaped object of length frames
+  function decodeFrames(view, header, length) {
+    const channels = header.numberOfChannels;
+    const bits = header.bitsPerSample;
+    const isFloat = header.formatTag === FORMAT_FLOAT;
+    const bytesPerSample = bits / 8;
+    const blockAlign = header.blockAlign;
+    const out = [];
+    for (let c = 0; c < channels; c++) out.push(new Float32Array(length));
+
+    for (let c = 0; c < channels; c++) {
+      const ch = out[c];
+      let p = c * bytesPerSample;
+      if (isFloat && bits === 32) {
+        for (let i = 0; i < length; i++, p += blockAlign) ch[i] = view.getFloat32(p, true);
+      } else if (isFloat) {
+        for (let i = 0; i < length; i++, p += blockAlign) ch[i] = view.getFloat64(p, true);
+      } else if (bits === 8) {
+        for (let i = 0; i < length; i++, p += blockAlign) ch[i] = (view.getUint8(p) - 128) / 128;
+      } else if (bits === 16) {
+        for (let i = 0; i < length; i++, p += blockAlign) ch[i] = view.getInt16(p, true) / 32768;
+      } else if (bits === 24) {
+        for (let i = 0; i < length; i++, p += blockAlign) {
+          let v = view.getUint8(p) | (view.getUint8(p + 1) << 8) | (view.getUint8(p + 2) << 16);
+          if (v & 0x800000) v -= 0x1000000;
+          ch[i] = v / 8388608;
+        }
+      } else {
+        for (let i = 0; i < length; i++, p += blockAlign) ch[i] = view.getInt32(p, true) / 2147483648;
+      }
+    }
+
+    return {
+      sampleRate: header.sampleRate,
+      numberOfChannels: channels,
+      length,
+      duration: length / header.sampleRate,
+      bitsPerSample: bits,
+      formatTag: header.formatTag,
+      getChannelData: (c) => out[c]
+    };
+  }
+
+  // parse the head of a File/Blob; grows the read until the data chunk is found (metadata chunks can be large)
+  async function readHeader(file) {
+    let headBytes = 1 << 16;
+    while (true) {
+      const head = await file.slice(0, Math.min(file.size, headBytes)).arrayBuffer();
+      if (!isWav(head)) return null;
+      const header = parseHeader(head, file.size);
+      if (header || headBytes >= file.size || headBytes >= HEADER_MAX_BYTES) return header;
+      headBytes *= 4;
+    }
+  }
+
+  // decode frames [start, start + count) of a File/Blob whose header came from readHeader(); clamps at the end
+  async function readFrames(file, header, start, count) {
+    const first = Math.max(0, Math.min(header.length, Math.floor(start)));
+    const n = Math.max(0, Math.min(header.length - first, Math.floor(count)));
+    const from = header.dataOffset + first * header.blockAlign;
+    const bytes = await file.slice(from, from + n * header.blockAlign).arrayBuffer();
+    const length = Math.floor(bytes.byteLength / header.blockAlign);
+    return decodeFrames(new DataView(bytes, 0, length * header.blockAlign), header, length);
+  }
+
+  // linear resample of one channel (only used when createBuffer rejects the native rate)
+  function resampleLinear(src, fromRate, toRate) {
+    const n = Math.max(1, Math.round(src.length * toRate / fromRate));
+    const dst = new Float32Array(n);
+    const step = fromRate / toRate;
+    for (let i = 0; i < n; i++) {
+      const x = i * step; const i0 = Math.floor(x); const f = x - i0;
+      const a = src[i0] || 0; const b = (i0 + 1 < src.length) ? src[i0 + 1] : a;
+      dst[i] = a + (b - a) * f;
+    }
+    return dst;
+  }
+
+  // AudioBuffer for playback; real AudioBuffers pass straight through
+  function toAudioBuffer(audioCtx, decoded) {
+    if (!decoded || !audioCtx) return null;
+    if (typeof AudioBuffer === 'function' && decoded instanceof AudioBuffer) return decoded;
+    const channels = decoded.numberOfChannels;
+    try {
+      const buf = audioCtx.createBuffer(channels, decoded.length, decoded.sampleRate);
+      for (let c = 0; c < channels; c++) buf.getChannelData(c).set(decoded.getChannelData(c));
+      return buf;
+    } catch (e) {
+      // outside the browser's supported buffer rates (typically 3-768 kHz)
+      const rate = audioCtx.sampleRate;
+      const first = resampleLinear(decoded.getChannelData(0), decoded.sampleRate, rate);
+      const buf = audioCtx.createBuffer(channels, first.length, rate);
+      buf.getChannelData(0).set(first);
+      for (let c = 1; c < channels; c++) buf.getChannelData(c).set(resampleLinear(decoded.getChannelData(c), decoded.sampleRate, rate));
+      return buf;
+    }
+  }
+
+  globalThis._wavDecoder = { isWav, decode, toAudioBuffer, readHeader, readFrames };
+})();
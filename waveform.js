@@ -0,0 +1,295 @@
+// waveform.js
+// Min/max amplitude envelope of the analysed signal in a panel above the spectrogram.
+// The panel shares the spectrogram's time mapping (_spectroMap px/sec and #scrollArea scrollLeft),
+// shows the playhead reported by playback.js ('playhead-moved') and shades annotation time spans,
+// so clipping, onsets and quiet calls can be judged in the time domain.
+//
+// Decoded files keep a block envelope (ENVELOPE_BLOCK samples per min/max pair) built once per
+// decode, and read the channel data directly when zoomed in past it (the 'mix' mean is taken per sample,
+// never stored). Streamed recordings (_spectroAudioSource) build the same envelope lazily, one chunk of
+// STREAM_CHUNK_BLOCKS blocks per file read, kept for the least recently used STREAM_MAX_CHUNKS chunks;
+// only zoomed in is the file read sample by sample, a view width either side of the visible range.
+
+(function () {
+  if (!window || !document) return;
+
+  const wrapper = document.getElementById('waveformWrapper');
+  const axisCanvas = document.getElementById('waveformAxis');
+  const canvas = document.getElementById('waveformCanvas');
+  const scrollArea = document.getElementById('scrollArea');
+  if (!wrapper || !axisCanvas || !canvas || !scrollArea) return;
+
+  const ctx = canvas.getContext('2d', { alpha: false });
+  const axisCtx = axisCanvas.getContext('2d', { alpha: false });
+  const dpr = window.devicePixelRatio || 1;
+  const ENVELOPE_BLOCK = 256;
+  const STREAM_CHUNK_BLOCKS = 4096;   // envelope blocks per streamed read (1M samples)
+  const STREAM_MAX_CHUNKS = 256;      // streamed envelope chunks kept (8 MB), more while a view needs them
+  const CLIP_LEVEL = 0.999;
+  const WAVE_COLOR = '#7fd3ff';
+  const CLIP_COLOR = '#ff5050';
+  const PLAYHEAD_COLOR = '#ff6b6b';
+
+  let playheadX = null;   // screen x within the viewport, or null when hidden
+  let envelope = null;    // { source, channel, chans, length, min, max } for the decoded path
+  let streamSeq = 0;
+  let streamEnv = null;     // { source, channel, length, chunks: Map index -> { min, max } } in LRU order
+  let streamSamples = null; // { source, channel, start, end, chans } read around the last zoomed-in view
+  let rafId = 0;
+
+  function getMapping() {
+    const pxPerSec = (globalThis._spectroMap && typeof globalThis._spectroMap.pxPerSec === 'function')
+      ? globalThis._spectroMap.pxPerSec()
+      : (globalThis._spectroPxPerSec || 1);
+    const axisLeft = (typeof globalThis._spectroAxisLeft === 'number') ? globalThis._spectroAxisLeft : 70;
+    return { pxPerSec, axisLeft, scrollLeft: Math.round(scrollArea.scrollLeft || 0), viewWidth: Math.max(1, scrollArea.clientWidth) };
+  }
+
+  // channel data of the analysed signal: one channel, or all of them for 'mix'
+  function channelsOf(decoded, channel) {
+    if (channel !== 'mix' && channel >= 1 && channel <= decoded.numberOfChannels) return [decoded.getChannelData(channel - 1)];
+    const chans = [];
+    for (let c = 0; c < decoded.numberOfChannels; c++) chans.push(decoded.getChannelData(c));
+    return chans;
+  }
+  // sample i of the analysed signal (the mean of chans for 'mix')
+  function sampleAt(chans, i) {
+    if (chans.length === 1) return chans[0][i];
+    let v = 0;
+    for (let c = 0; c < chans.length; c++) v += chans[c][i];
+    return v / chans.length;
+  }
+
+  // min/max per ENVELOPE_BLOCK samples of chans
+  function blockEnvelope(chans, length) {
+    const blocks = Math.ceil(length / ENVELOPE_BLOCK);
+    const min = new Float32Array(blocks), max = new Float32Array(blocks);
+    for (let b = 0; b < blocks; b++) {
+      let lo = Infinity, hi = -Infinity;
+      const end = Math.min(length, (b + 1) * ENVELOPE_BLOCK);
+      for (let i = b * ENVELOPE_BLOCK; i < end; i++) { const v = sampleAt(chans, i); if (v < lo) lo = v; if (v > hi) hi = v; }
+      min[b] = lo; max[b] = hi;
+    }
+    return { min, max };
+  }
+
+  function buildEnvelope(decoded, channel) {
+    const chans = channelsOf(decoded, channel);
+    const length = decoded.length;
+    const { min, max } = blockEnvelope(chans, length);
+    return { source: decoded, channel, chans, length, min, max };
+  }
+
+  function currentEnvelope() {
+    const decoded = globalThis._spectroAudioBuffer;
+    if (!decoded || typeof decoded.getChannelData !== 'function') return null;
+    const channel = globalThis._spectroChannel || 'mix';
+    if (!envelope || envelope.source !== decoded || envelope.channel !== channel) envelope = buildEnvelope(decoded, channel);
+    return envelope;
+  }
+
+  // zoomed out far enough that every screen pixel spans at least two envelope blocks
+  function useBlocks(sr, pxPerSec) { return sr / pxPerSec >= ENVELOPE_BLOCK * 2; }
+
+  // per-column [min, max] from startSec, one column per screen pixel, from envelope blocks; min/max start at
+  // block block0 of a signal of length samples
+  function columnsFromBlocks(min, max, block0, length, sr, startSec, pxPerSec, width) {
+    const cols = new Float32Array(width * 2);
+    const perPx = sr / pxPerSec;
+    for (let x = 0; x < width; x++) {
+      const s0 = Math.max(0, Math.floor((startSec + x / pxPerSec) * sr));
+      if (s0 >= length) { cols[x * 2] = NaN; cols[x * 2 + 1] = NaN; continue; }
+      const s1 = Math.min(length, Math.floor(s0 + perPx));
+      const b0 = Math.max(0, Math.floor(s0 / ENVELOPE_BLOCK) - block0), b1 = Math.min(min.length, Math.ceil(s1 / ENVELOPE_BLOCK) - block0);
+      let lo = Infinity, hi = -Infinity;
+      for (let b = b0; b < b1; b++) { if (min[b] < lo) lo = min[b]; if (max[b] > hi) hi = max[b]; }
+      cols[x * 2] = (lo === Infinity) ? NaN : lo; cols[x * 2 + 1] = (hi === -Infinity) ? NaN : hi;
+    }
+    return cols;
+  }
+
+  function columnsFromEnvelope(env, sr, startSec, pxPerSec, width) {
+    if (useBlocks(sr, pxPerSec)) return columnsFromBlocks(env.min, env.max, 0, env.length, sr, startSec, pxPerSec, width);
+    return columnsFromSamples(env.chans, 0, sr, startSec, pxPerSec, width);
+  }
+
+  // per-column [min, max] from startSec read straight from the samples; chans start at sample start
+  function columnsFromSamples(chans, start, sr, startSec, pxPerSec, width) {
+    const cols = new Float32Array(width * 2);
+    const length = chans[0].length;
+    for (let x = 0; x < width; x++) {
+      const s0 = Math.floor((startSec + x / pxPerSec) * sr) - start;
+      const s1 = Math.min(length, Math.max(s0 + 1, Math.floor((startSec + (x + 1) / pxPerSec) * sr) - start));
+      let lo = Infinity, hi = -Infinity;
+      for (let i = Math.max(0, s0); i < s1; i++) { const v = sampleAt(chans, i); if (v < lo) lo = v; if (v > hi) hi = v; }
+      cols[x * 2] = (lo === Infinity) ? NaN : lo; cols[x * 2 + 1] = (hi === -Infinity) ? NaN : hi;
+    }
+    return cols;
+  }
+
+  // --- streamed recordings ---
+  // envelope chunk k (blocks k * STREAM_CHUNK_BLOCKS..), read from the file the first time it is needed
+  async function streamEnvelopeChunk(env, k, keep) {
+    let chunk = env.chunks.get(k);
+    if (chunk) { env.chunks.delete(k); env.chunks.set(k, chunk); return chunk; }
+    const span = STREAM_CHUNK_BLOCKS * ENVELOPE_BLOCK;
+    const start = k * span;
+    const decoded = await env.source.read(start, Math.min(span, env.length - start));
+    if (!decoded || !decoded.length) return null;
+    chunk = blockEnvelope(channelsOf(decoded, env.channel), decoded.length);
+    env.chunks.set(k, chunk);
+    while (env.chunks.size > Math.max(STREAM_MAX_CHUNKS, keep)) env.chunks.delete(env.chunks.keys().next().value);
+    return chunk;
+  }
+
+  // zoomed out: columns from the envelope chunks under the view; null when superseded (seq) or unreadable
+  async function streamEnvelopeColumns(source, channel, sr, startSec, m, seq) {
+    if (!streamEnv || streamEnv.source !== source || streamEnv.channel !== channel) streamEnv = { source, channel, length: source.length, chunks: new Map() };
+    const env = streamEnv;
+    const span = STREAM_CHUNK_BLOCKS * ENVELOPE_BLOCK;
+    const s0 = Math.max(0, Math.floor(startSec * sr));
+    const s1 = Math.min(env.length, Math.ceil((startSec + m.viewWidth / m.pxPerSec) * sr));
+    if (s0 >= s1) return null;
+    const k0 = Math.floor(s0 / span), k1 = Math.floor((s1 - 1) / span);
+    const parts = [];
+    for (let k = k0; k <= k1; k++) {
+      const chunk = await streamEnvelopeChunk(env, k, k1 - k0 + 1);
+      if (seq !== streamSeq || !chunk) return null;
+      parts.push(chunk);
+    }
+    // every chunk but the file's last holds STREAM_CHUNK_BLOCKS blocks, so the parts join end to end
+    const blocks = parts.reduce((n, c) => n + c.min.length, 0);
+    const min = new Float32Array(blocks), max = new Float32Array(blocks);
+    let at = 0;
+    for (const c of parts) { min.set(c.min, at); max.set(c.max, at); at += c.min.length; }
+    return columnsFromBlocks(min, max, k0 * STREAM_CHUNK_BLOCKS, env.length, sr, startSec, m.pxPerSec, m.viewWidth);
+  }
+
+  // zoomed in: columns from samples read a view width either side of the visible range, so scrolling
+  // reuses one read until the view leaves it; null when superseded or unreadable
+  async function streamSampleColumns(source, channel, sr, startSec, m, seq) {
+    const start = Math.max(0, Math.floor(startSec * sr));
+    const count = Math.ceil(m.viewWidth / m.pxPerSec * sr) + 1;
+    let r = streamSamples;
+    const fits = r && r.source === source && r.channel === channel && start >= r.start && Math.min(source.length, start + count) <= r.end;
+    if (!fits) {
+      const from = Math.max(0, start - count);
+      const decoded = await source.read(from, count * 3);
+      if (seq !== streamSeq || !decoded || !decoded.length) return null;
+      r = streamSamples = { source, channel, start: from, end: from + decoded.length, chans: channelsOf(decoded, channel) };
+    }
+    return columnsFromSamples(r.chans, r.start, sr, startSec, m.pxPerSec, m.viewWidth);
+  }
+
+  function resizeCanvases(axisLeft, viewWidth) {
+    const h = Math.max(1, wrapper.clientHeight);
+    axisCanvas.style.width = axisLeft + 'px';
+    if (axisCanvas.width !== Math.round(axisLeft * dpr) || axisCanvas.height !== Math.round(h * dpr)) {
+      axisCanvas.width = Math.round(axisLeft * dpr); axisCanvas.height = Math.round(h * dpr);
+    }
+    canvas.style.width = viewWidth + 'px';
+    if (canvas.width !== Math.round(viewWidth * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(viewWidth * dpr); canvas.height = Math.round(h * dpr);
+    }
+    axisCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    return h;
+  }
+
+  function drawAxis(axisLeft, h) {
+    axisCtx.fillStyle = '#000';
+    axisCtx.fillRect(0, 0, axisLeft, h);
+    axisCtx.fillStyle = '#ddd';
+    axisCtx.font = '11px sans-serif';
+    axisCtx.textAlign = 'right';
+    axisCtx.textBaseline = 'middle';
+    axisCtx.strokeStyle = 'rgba(255,255,255,0.25)';
+    [[1, '+1'], [0, '0'], [-1, '-1']].forEach(([v, label]) => {
+      const y = Math.round((1 - v) / 2 * (h - 1));
+      axisCtx.beginPath(); axisCtx.moveTo(axisLeft - 6, y + 0.5); axisCtx.lineTo(axisLeft, y + 0.5); axisCtx.stroke();
+      axisCtx.fillText(label, axisLeft - 8, Math.max(6, Math.min(h - 6, y)));
+    });
+  }
+
+  function drawAnnotationSpans(m, h) {
+    const list = (globalThis._annotations && typeof globalThis._annotations.getAll === 'function') ? (globalThis._annotations.getAll() || []) : [];
+    const editingId = (globalThis._editAnnotations && typeof globalThis._editAnnotations.getEditingId === 'function') ? globalThis._editAnnotations.getEditingId() : null;
+    for (const a of list) {
+      const left = a.beginTime * m.pxPerSec - m.scrollLeft;
+      const right = a.endTime * m.pxPerSec - m.scrollLeft;
+      if (right < 0 || left > m.viewWidth) continue;
+      const selected = editingId != null && String(a.id) === String(editingId);
+      ctx.fillStyle = selected ? 'rgba(255,255,102,0.22)' : 'rgba(255,255,255,0.12)';
+      ctx.fillRect(left, 0, Math.max(1, right - left), h);
+      ctx.fillStyle = selected ? (a.color || '#ffff66') : 'rgba(255,255,255,0.45)';
+      ctx.fillRect(Math.round(left), 0, 1, h);
+      ctx.fillRect(Math.round(right) - 1, 0, 1, h);
+    }
+  }
+
+  function paint(cols, m, h) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, m.viewWidth, h);
+    drawAnnotationSpans(m, h);
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(0, Math.round((h - 1) / 2), m.viewWidth, 1);
+    if (cols) {
+      const yOf = (v) => (1 - Math.max(-1, Math.min(1, v))) / 2 * (h - 1);
+      for (let x = 0; x < m.viewWidth; x++) {
+        const lo = cols[x * 2], hi = cols[x * 2 + 1];
+        if (!isFinite(lo) || !isFinite(hi)) continue;
+        const y0 = yOf(hi), y1 = yOf(lo);
+        ctx.fillStyle = (hi >= CLIP_LEVEL || lo <= -CLIP_LEVEL) ? CLIP_COLOR : WAVE_COLOR;
+        ctx.fillRect(x, Math.floor(y0), 1, Math.max(1, Math.ceil(y1 - y0)));
+      }
+    }
+    if (playheadX != null) {
+      ctx.fillStyle = PLAYHEAD_COLOR;
+      ctx.fillRect(Math.round(playheadX), 0, 2, h);
+    }
+  }
+
+  async function redraw() {
+    rafId = 0;
+    const m = getMapping();
+    const h = resizeCanvases(m.axisLeft, m.viewWidth);
+    drawAxis(m.axisLeft, h);
+    const sr = globalThis._spectroSampleRate || 0;
+    const startSec = m.scrollLeft / Math.max(1e-9, m.pxPerSec);
+    const env = currentEnvelope();
+    if (env && sr) { streamEnv = streamSamples = null; paint(columnsFromEnvelope(env, sr, startSec, m.pxPerSec, m.viewWidth), m, h); return; }
+
+    const source = globalThis._spectroAudioSource;
+    if (!source || typeof source.read !== 'function' || !sr) { paint(null, m, h); return; }
+    // streamed: a newer redraw supersedes this one (chunks it already read stay cached)
+    const channel = globalThis._spectroChannel || 'mix';
+    const seq = ++streamSeq;
+    let cols = null;
+    try {
+      cols = useBlocks(sr, m.pxPerSec)
+        ? await streamEnvelopeColumns(source, channel, sr, startSec, m, seq)
+        : await streamSampleColumns(source, channel, sr, startSec, m, seq);
+    } catch (e) { console.warn('waveform read failed', e); }
+    if (seq !== streamSeq) return;
+    paint(cols, m, h);
+  }
+
+  function scheduleRedraw() {
+    if (rafId) return;
+    rafId = requestAnimationFrame(() => { redraw(); });
+  }
+
+  scrollArea.addEventListener('scroll', scheduleRedraw, { passive: true });
+  window.addEventListener('resize', scheduleRedraw, { passive: true });
+  window.addEventListener('spectrogram-generated', () => { playheadX = null; scheduleRedraw(); });
+  window.addEventListener('annotations-changed', scheduleRedraw, { passive: true });
+  window.addEventListener('edit-selection-changed', scheduleRedraw, { passive: true });
+  window.addEventListener('playhead-moved', (ev) => {
+    const x = ev && ev.detail ? ev.detail.screenX : null;
+    playheadX = (typeof x === 'number' && isFinite(x)) ? x : null;
+    scheduleRedraw();
+  });
+
+  globalThis._waveform = { redraw: scheduleRedraw };
+  scheduleRedraw();
+})();